@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { formatCsv } from './src/csv.js';
+import { sendLogsToStderr } from './src/logger.js';
+import { processShipmentFiles } from './src/shipment-service.js';
+import { sendStdoutSinksToStderr } from './src/sinks.js';
+
+const USAGE = `Usage: node cli.js [options] <report> [<report>...]
+
+Processes .xlsm, .xlsx, .csv or .zip shipment reports like an upload, without
+the HTTP server. Logs go to stderr; the result goes to stdout.
+
+Options:
+  --dry-run              Parse and format only; nothing is submitted
+  --output json|csv      Result format (default json)
+  --submit-route <url>   Submit to this relay URL instead of SUBMIT_ROUTE
+  --store <id>           Only process rows for this OrderDesk store; repeat or
+                         comma-separate for several
+  --profile <id>         Use this column-mapping profile instead of detecting it
+  --force                Process files even if identical ones were just processed
+  -h, --help             Show this help
+
+Exit codes: 0 all rows processed, 1 rows rejected or a file could not be read,
+2 submission failed, 64 invalid arguments.`;
+
+const EXIT_OK = 0;
+const EXIT_ROWS_REJECTED = 1;
+const EXIT_SUBMISSION_FAILED = 2;
+const EXIT_USAGE = 64;
+
+const CSV_COLUMNS = ["status", "code", "message", "source_id", "tracking_numbers", "source_rows"];
+
+const usageError = (message) => {
+    const error = new Error(message);
+    error.exitCode = EXIT_USAGE;
+    return error;
+};
+
+const parseCliArguments = (argv) => {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                "dry-run": { type: "boolean", default: false },
+                output: { type: "string", default: "json" },
+                "submit-route": { type: "string" },
+                store: { type: "string", multiple: true, default: [] },
+                profile: { type: "string" },
+                force: { type: "boolean", default: false },
+                help: { type: "boolean", short: "h", default: false },
+            },
+        });
+    } catch (error) {
+        throw usageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        return { help: true };
+    }
+    if (positionals.length === 0) {
+        throw usageError("At least one report file is required");
+    }
+    if (!["json", "csv"].includes(values.output)) {
+        throw usageError("--output must be json or csv");
+    }
+    if (values["submit-route"]) {
+        try {
+            if (!/^https?:$/.test(new URL(values["submit-route"]).protocol)) {
+                throw new Error("unsupported protocol");
+            }
+        } catch (error) {
+            throw usageError("--submit-route must be an http(s) URL");
+        }
+    }
+
+    const storeIds = values.store
+        .flatMap((value) => value.split(","))
+        .map((storeId) => storeId.trim())
+        .filter(Boolean);
+    if (!storeIds.every((storeId) => /^\d+$/.test(storeId))) {
+        throw usageError("--store takes numeric OrderDesk store IDs");
+    }
+
+    return {
+        help: false,
+        paths: positionals,
+        dryRun: values["dry-run"],
+        output: values.output,
+        submitRoute: values["submit-route"] || null,
+        storeIds,
+        profileId: values.profile || null,
+        force: values.force,
+    };
+};
+
+const readReportFiles = (paths) =>
+    Promise.all(paths.map(async (filePath) => {
+        let buffer;
+        try {
+            buffer = await fs.readFile(filePath);
+        } catch (error) {
+            throw usageError(`Cannot read ${filePath}: ${error.message}`);
+        }
+        return {
+            fieldname: "file",
+            originalname: path.basename(filePath),
+            mimetype: "",
+            size: buffer.length,
+            buffer,
+        };
+    }));
+
+const formatSourceRows = (sourceRows = []) =>
+    sourceRows
+        .map((location) =>
+            location.file ? `${location.file}:${location.row_number}` : String(location.row_number)
+        )
+        .join(" ");
+
+// One CSV line per order (or formatted shipment on a dry run) and one per
+// row diagnostic, so a spreadsheet shows everything ops may need to follow up.
+const toCsvRows = (outcome, { storeIds }) => {
+    const shipmentRows = outcome.orders
+        ? outcome.orders.map((order) => [
+            order.status,
+            "",
+            order.message,
+            order.source_id,
+            (order.tracking_numbers || []).join(" "),
+            formatSourceRows(order.source_rows),
+        ])
+        : (outcome.shipments || []).map((shipment) => [
+            outcome.status,
+            "",
+            "",
+            shipment.source_id,
+            (shipment.tracking_numbers || []).join(" "),
+            formatSourceRows(shipment.source_rows),
+        ]);
+    const diagnosticRows = (outcome.diagnostics || [])
+        .filter((diagnostic) => diagnostic.code !== "ALREADY_SUBMITTED")
+        // Like the exit code, other stores' rows are not rejections under --store.
+        .filter((diagnostic) => storeIds.length === 0 || diagnostic.code !== "STORE_NOT_ALLOWED")
+        .map((diagnostic) => [
+            diagnostic.severity === "warning" ? "warning" : "rejected",
+            diagnostic.code,
+            diagnostic.message,
+            diagnostic.source_id || "",
+            "",
+            diagnostic.row_number === null
+                ? (diagnostic.file || "")
+                : formatSourceRows([diagnostic]),
+        ]);
+
+    return formatCsv([CSV_COLUMNS, ...shipmentRows, ...diagnosticRows]);
+};
+
+// Rows of other stores are filtered out on purpose, not rejected.
+const rejectedRowCount = (details, { storeIds }) => {
+    const rejected = (details?.files || []).reduce(
+        (total, file) => total + (file.summary?.rows_rejected || 0),
+        0
+    );
+    return storeIds.length > 0
+        ? rejected - (details?.summary?.store_not_allowed_skipped || 0)
+        : rejected;
+};
+
+const exitCodeFor = (outcome, options) => {
+    const hasRejections =
+        rejectedRowCount(outcome, options) > 0 || (outcome.summary?.files_failed || 0) > 0;
+    if (outcome.status === "failed") {
+        if (outcome.files_failed) {
+            return EXIT_ROWS_REJECTED;
+        }
+        // No valid shipments (422) only means nothing was left to submit.
+        return outcome.error?.status === 422 && outcome.summary
+            ? (hasRejections ? EXIT_ROWS_REJECTED : EXIT_OK)
+            : EXIT_SUBMISSION_FAILED;
+    }
+    if (outcome.status === "partial_failure") {
+        return EXIT_SUBMISSION_FAILED;
+    }
+    return hasRejections ? EXIT_ROWS_REJECTED : EXIT_OK;
+};
+
+const describeFailure = (error) => {
+    const statusCode = error.statusCode || error.status || 500;
+    return {
+        status: "failed",
+        message: error.message,
+        error: { status: statusCode },
+        ...(error.files_failed ? { files_failed: error.files_failed } : {}),
+        ...(error.details || {}),
+        ...(error.orders ? { orders: error.orders } : {}),
+        ...(error.dead_letters
+            ? { dead_letter_ids: error.dead_letters.map((batch) => batch.id) }
+            : {}),
+    };
+};
+
+const main = async () => {
+    const options = parseCliArguments(process.argv.slice(2));
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return EXIT_OK;
+    }
+
+    sendLogsToStderr();
+    sendStdoutSinksToStderr();
+    const files = await readReportFiles(options.paths);
+    const req = {
+        requestId: `cli-${Date.now()}`,
+        client: {
+            id: "cli",
+            name: "Command line",
+            type: "cli",
+            allowed_stores: options.storeIds.length > 0 ? options.storeIds : null,
+        },
+        body: {},
+    };
+
+    let outcome;
+    try {
+        outcome = await processShipmentFiles(req, files, {
+            dryRun: options.dryRun,
+            profileId: options.profileId,
+            submitRoute: options.submitRoute,
+            force: options.force,
+        });
+    } catch (error) {
+        outcome = describeFailure(error);
+    }
+
+    process.stdout.write(
+        options.output === "csv" ? toCsvRows(outcome, options) : `${JSON.stringify(outcome, null, 2)}\n`
+    );
+    return exitCodeFor(outcome, options);
+};
+
+main()
+    .then((exitCode) => {
+        process.exitCode = exitCode;
+    })
+    .catch((error) => {
+        process.stderr.write(`${error.message}\n`);
+        if (error.exitCode === EXIT_USAGE) {
+            process.stderr.write(`\n${USAGE}\n`);
+        }
+        process.exitCode = error.exitCode || EXIT_SUBMISSION_FAILED;
+    });
@@ -1,8 +1,14 @@
 import express from 'express';
 import bodyParser from 'body-parser';
-import { PORT } from './src/config.js';
+import { adminRouter } from './src/admin-routes.js';
+import { extractBearerToken, safeEqual } from './src/auth.js';
+import { METRICS_TOKEN, PORT } from './src/config.js';
+import { historyRouter } from './src/history-routes.js';
 import { handleError, requestLogger } from './src/http.js';
+import { jobRouter } from './src/job-routes.js';
+import { startJobWorker } from './src/jobs.js';
 import { log } from './src/logger.js';
+import { METRICS_CONTENT_TYPE, renderMetrics } from './src/metrics.js';
 import { shipmentRouter } from './src/routes.js';
 
 const app = express();
@@ -19,6 +25,20 @@ app.get('/', (req, res) => {
     });
 });
 
+app.get('/metrics', (req, res) => {
+    if (METRICS_TOKEN && !safeEqual(extractBearerToken(req), METRICS_TOKEN)) {
+        return res.status(401).json({
+            message: "Invalid or missing metrics token",
+            request_id: req.requestId,
+        });
+    }
+    res.setHeader("Content-Type", METRICS_CONTENT_TYPE);
+    return res.status(200).send(renderMetrics());
+});
+
+app.use('/admin', adminRouter);
+app.use(jobRouter);
+app.use(historyRouter);
 app.use(shipmentRouter);
 
 app.use((req, res) => {
@@ -37,6 +57,9 @@ app.use((error, req, res, next) => {
 
 const server = app.listen(PORT, () => {
     log(`Server running on port ${PORT}: http://localhost:${PORT}`);
+    startJobWorker().catch((error) => {
+        log("Shipment job worker failed to start", error, "error");
+    });
 });
 
 server.on("error", (error) => {
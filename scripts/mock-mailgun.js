@@ -0,0 +1,66 @@
+// Local stand-in for the Mailgun sending API, for trying result notifications
+// without sending real email:
+//
+//   node scripts/mock-mailgun.js [port] [outbox directory]
+//
+// Point MAILGUN_API_BASE_URL at http://localhost:<port>. Every message is
+// printed; with an outbox directory it is also saved as <id>.json next to its
+// attachments.
+import express from 'express';
+import { promises as fs } from 'fs';
+import multer from 'multer';
+import path from 'path';
+
+const port = Number(process.argv[2] || 4020);
+const outbox = process.argv[3] ? path.resolve(process.argv[3]) : null;
+let messageCount = 0;
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.use((req, res, next) => {
+    const [scheme, credentials = ""] = (req.get("Authorization") || "").split(" ");
+    if (scheme !== "Basic" || !Buffer.from(credentials, "base64").toString().startsWith("api:")) {
+        return res.status(401).send("Forbidden");
+    }
+    return next();
+});
+
+const saveMessage = async (id, message, files) => {
+    await fs.mkdir(outbox, { recursive: true });
+    await Promise.all(
+        files.map((file, index) =>
+            fs.writeFile(path.join(outbox, `${id}-${index + 1}-${path.basename(file.originalname)}`), file.buffer)
+        )
+    );
+    await fs.writeFile(path.join(outbox, `${id}.json`), JSON.stringify(message, null, 2));
+};
+
+app.post('/v3/:domain/messages', multer({ storage: multer.memoryStorage() }).any(), async (req, res) => {
+    const { from, to, subject, text } = req.body;
+    if (!from || !to || !subject) {
+        return res.status(400).json({ message: "from, to and subject are required" });
+    }
+
+    messageCount += 1;
+    const id = `${Date.now()}.${messageCount}`;
+    const files = req.files || [];
+    const message = {
+        id: `<${id}@${req.params.domain}>`,
+        domain: req.params.domain,
+        from,
+        to,
+        subject,
+        text,
+        attachments: files.map((file) => ({ filename: file.originalname, size: file.size })),
+    };
+    console.log(`message ${message.id} to ${to}: ${subject} (${files.length} attachment(s))`);
+    if (outbox) {
+        await saveMessage(id, message, files);
+    }
+    return res.json({ id: message.id, message: "Queued. Thank you." });
+});
+
+app.listen(port, () => {
+    console.log(`Mock Mailgun API listening on http://localhost:${port}`);
+});
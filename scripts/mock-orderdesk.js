@@ -0,0 +1,75 @@
+// Local stand-in for the OrderDesk v2 API, for trying SUBMITTER=orderdesk
+// without touching real stores:
+//
+//   node scripts/mock-orderdesk.js [port] [orders.json]
+//
+// orders.json maps store IDs to the order source IDs that exist, e.g.
+// { "14077": ["32840"] }. Without it every looked-up order exists. Point
+// ORDERDESK_API_BASE_URL at http://localhost:<port>/api/v2.
+import express from 'express';
+import { readFileSync } from 'fs';
+
+const port = Number(process.argv[2] || 4010);
+const knownOrders = process.argv[3]
+    ? JSON.parse(readFileSync(process.argv[3], "utf8"))
+    : null;
+const orders = new Map();
+
+const app = express();
+app.use(express.json());
+
+app.use((req, res, next) => {
+    if (!req.get("ORDERDESK-STORE-ID") || !req.get("ORDERDESK-API-KEY")) {
+        return res.status(401).json({ status: "error", message: "Missing credentials" });
+    }
+    return next();
+});
+
+const findOrder = (storeId, sourceId) => {
+    const key = `${storeId}:${sourceId}`;
+    if (!orders.has(key)) {
+        if (knownOrders && !(knownOrders[storeId] || []).includes(sourceId)) {
+            return null;
+        }
+        orders.set(key, {
+            id: String(orders.size + 1000),
+            store_id: storeId,
+            source_id: sourceId,
+            shipments: [],
+        });
+    }
+    return orders.get(key);
+};
+
+app.get('/api/v2/test', (req, res) =>
+    res.json({ status: "success", message: "Connection Successful" })
+);
+
+app.get('/api/v2/orders', (req, res) => {
+    const order = findOrder(req.get("ORDERDESK-STORE-ID"), String(req.query.source_id || ""));
+    res.json({
+        status: "success",
+        message: order ? "Order Found" : "No Orders Found",
+        orders: order ? [order] : [],
+    });
+});
+
+app.post('/api/v2/orders/:id/shipments', (req, res) => {
+    const order = Array.from(orders.values()).find(
+        (candidate) =>
+            candidate.id === req.params.id &&
+            candidate.store_id === req.get("ORDERDESK-STORE-ID")
+    );
+    if (!order) {
+        return res.status(404).json({ status: "error", message: "Order not found" });
+    }
+
+    const shipment = { id: String(Date.now()), ...req.body };
+    order.shipments.push(shipment);
+    console.log(`order ${order.source_id} (store ${order.store_id}): shipment ${shipment.tracking_number}`);
+    return res.json({ status: "success", message: "Shipment Added", shipment });
+});
+
+app.listen(port, () => {
+    console.log(`Mock OrderDesk API listening on http://localhost:${port}/api/v2`);
+});
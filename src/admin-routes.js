@@ -0,0 +1,194 @@
+import { Router } from 'express';
+import { createApiKey, listApiKeys, revokeApiKey } from './api-keys.js';
+import { requireAdminToken } from './auth.js';
+import {
+    getDeadLetter,
+    listDeadLetters,
+    replayDeadLetter,
+    replayDeadLetters,
+} from './dead-letters.js';
+import { listMappingProfiles } from './mapping-profiles.js';
+import { listOutputSinks } from './sinks.js';
+import {
+    addStoreMapping,
+    listStoreMapChanges,
+    listStoreMappings,
+    removeStoreMapping,
+    updateStoreMapping,
+} from './store-map.js';
+
+export const adminRouter = Router();
+
+adminRouter.use(requireAdminToken);
+
+adminRouter.get('/store-map', async (req, res, next) => {
+    try {
+        return res.status(200).json({
+            stores: await listStoreMappings(),
+            request_id: req.requestId,
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+adminRouter.get('/store-map/changes', async (req, res, next) => {
+    try {
+        return res.status(200).json({
+            changes: await listStoreMapChanges(),
+            request_id: req.requestId,
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+adminRouter.post('/store-map', async (req, res, next) => {
+    try {
+        const mapping = await addStoreMapping(
+            req.body?.customer_number,
+            req.body?.store_id,
+            req.requestId
+        );
+        return res.status(201).json({ mapping, request_id: req.requestId });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+adminRouter.put('/store-map/:customerNumber', async (req, res, next) => {
+    try {
+        const mapping = await updateStoreMapping(
+            req.params.customerNumber,
+            req.body?.store_id,
+            req.requestId
+        );
+        return res.status(200).json({ mapping, request_id: req.requestId });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+adminRouter.delete('/store-map/:customerNumber', async (req, res, next) => {
+    try {
+        const mapping = await removeStoreMapping(
+            req.params.customerNumber,
+            req.requestId
+        );
+        return res.status(200).json({
+            removed: mapping,
+            request_id: req.requestId,
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+adminRouter.get('/mapping-profiles', (req, res) =>
+    res.status(200).json({
+        mapping_profiles: listMappingProfiles(),
+        request_id: req.requestId,
+    })
+);
+
+adminRouter.get('/output-sinks', (req, res) =>
+    res.status(200).json({
+        output_sinks: listOutputSinks(),
+        request_id: req.requestId,
+    })
+);
+
+adminRouter.get('/api-keys', async (req, res, next) => {
+    try {
+        return res.status(200).json({
+            api_keys: await listApiKeys(),
+            request_id: req.requestId,
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+adminRouter.post('/api-keys', async (req, res, next) => {
+    try {
+        const { api_key: apiKey, client } = await createApiKey(
+            {
+                name: req.body?.name,
+                allowedStores: req.body?.allowed_stores,
+            },
+            req.requestId
+        );
+        return res.status(201).json({
+            api_key: apiKey,
+            client,
+            message: "Store this key now. It cannot be retrieved again.",
+            request_id: req.requestId,
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+adminRouter.delete('/api-keys/:id', async (req, res, next) => {
+    try {
+        return res.status(200).json({
+            revoked: await revokeApiKey(req.params.id, req.requestId),
+            request_id: req.requestId,
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+adminRouter.get('/dead-letters', async (req, res, next) => {
+    try {
+        return res.status(200).json({
+            dead_letters: await listDeadLetters({
+                state: req.query?.state || null,
+            }),
+            request_id: req.requestId,
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+adminRouter.post('/dead-letters/replay', async (req, res, next) => {
+    try {
+        return res.status(200).json({
+            replayed: await replayDeadLetters(req.body?.ids, req.requestId),
+            request_id: req.requestId,
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+adminRouter.get('/dead-letters/:id', async (req, res, next) => {
+    try {
+        const deadLetter = await getDeadLetter(req.params.id);
+        if (!deadLetter) {
+            return res.status(404).json({
+                message: "Dead-letter batch not found",
+                request_id: req.requestId,
+            });
+        }
+        return res.status(200).json({
+            dead_letter: deadLetter,
+            request_id: req.requestId,
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+adminRouter.post('/dead-letters/:id/replay', async (req, res, next) => {
+    try {
+        return res.status(200).json({
+            replayed: await replayDeadLetter(req.params.id, req.requestId),
+            request_id: req.requestId,
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
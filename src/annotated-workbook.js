@@ -0,0 +1,134 @@
+import ExcelJS from 'exceljs';
+import { parseCsv } from './csv.js';
+import { isShipmentHeaderRow } from './spreadsheet.js';
+
+export const ANNOTATED_WORKBOOK_MIME_TYPE =
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+const STATUS_FILLS = {
+    rejected: "FFFFC7CE",
+    failed: "FFFFC7CE",
+    skipped: "FFFFEB9C",
+};
+
+const solidFill = (argb) => ({
+    type: "pattern",
+    pattern: "solid",
+    fgColor: { argb },
+});
+
+const loadSourceWorksheet = async (buffer, format) => {
+    const workbook = new ExcelJS.Workbook();
+
+    if (format === "csv") {
+        const worksheet = workbook.addWorksheet("Report");
+        parseCsv(buffer).forEach((row, index) => {
+            worksheet.getRow(index + 1).values = row;
+        });
+        return { workbook, worksheet };
+    }
+
+    await workbook.xlsx.load(buffer);
+    return { workbook, worksheet: workbook.worksheets[0] };
+};
+
+const findHeaderRowNumber = (worksheet, profileId) => {
+    let headerRowNumber = null;
+    worksheet.eachRow({ includeEmpty: false }, (row) => {
+        if (headerRowNumber !== null) {
+            return;
+        }
+        const values = [];
+        for (let index = 1; index <= row.cellCount; index += 1) {
+            values.push(String(row.getCell(index)?.text || ""));
+        }
+        if (isShipmentHeaderRow(values, profileId)) {
+            headerRowNumber = row.number;
+        }
+    });
+    return headerRowNumber;
+};
+
+const addSummarySheet = (workbook, summary = {}, rowResults = []) => {
+    const summarySheet = workbook.addWorksheet("Processing Summary");
+    summarySheet.columns = [
+        { header: "Metric", key: "metric", width: 32 },
+        { header: "Value", key: "value", width: 40 },
+    ];
+    summarySheet.getRow(1).font = { bold: true };
+
+    Object.entries(summary || {}).forEach(([metric, value]) => {
+        summarySheet.addRow({
+            metric,
+            value: Array.isArray(value) ? value.join(", ") : value,
+        });
+    });
+
+    const countsByCode = rowResults.reduce((counts, result) => {
+        if (result.code) {
+            counts[result.code] = (counts[result.code] || 0) + 1;
+        }
+        return counts;
+    }, {});
+    if (Object.keys(countsByCode).length > 0) {
+        summarySheet.addRow({});
+        summarySheet.addRow({ metric: "Rows by code" }).font = { bold: true };
+        Object.entries(countsByCode)
+            .sort(([left], [right]) => left.localeCompare(right))
+            .forEach(([code, count]) => summarySheet.addRow({ metric: code, value: count }));
+    }
+};
+
+// Returns a copy of the uploaded report with Status/Code/Message columns on
+// every data row, rejected rows highlighted and a summary sheet appended.
+// Workbooks are always written as .xlsx because ExcelJS cannot keep macros.
+export const buildAnnotatedWorkbook = async ({
+    buffer,
+    format,
+    filename = "report",
+    rowResults = [],
+    summary = {},
+    profileId = null,
+}) => {
+    const { workbook, worksheet } = await loadSourceWorksheet(buffer, format);
+    const headerRowNumber = findHeaderRowNumber(worksheet, profileId);
+    if (!headerRowNumber) {
+        throw new Error("Could not find the report header row");
+    }
+
+    const firstAnnotationColumn = worksheet.columnCount + 1;
+    const lastAnnotationColumn = firstAnnotationColumn + 2;
+    const headerRow = worksheet.getRow(headerRowNumber);
+    ["Processing Status", "Processing Code", "Processing Message"].forEach(
+        (title, offset) => {
+            const cell = headerRow.getCell(firstAnnotationColumn + offset);
+            cell.value = title;
+            cell.font = { bold: true };
+        }
+    );
+
+    rowResults
+        .filter((result) => result.row_number)
+        .forEach((result) => {
+            const row = worksheet.getRow(result.row_number);
+            row.getCell(firstAnnotationColumn).value = result.status.toUpperCase();
+            row.getCell(firstAnnotationColumn + 1).value = result.code || "";
+            row.getCell(firstAnnotationColumn + 2).value = result.message || "";
+
+            const fillColor = STATUS_FILLS[result.status];
+            if (fillColor) {
+                for (let column = 1; column <= lastAnnotationColumn; column += 1) {
+                    row.getCell(column).fill = solidFill(fillColor);
+                }
+            }
+        });
+
+    addSummarySheet(workbook, summary, rowResults);
+
+    const baseName = String(filename || "report").replace(/\.[^.]+$/, "");
+    return {
+        filename: `${baseName}-annotated.xlsx`,
+        mimetype: ANNOTATED_WORKBOOK_MIME_TYPE,
+        buffer: Buffer.from(await workbook.xlsx.writeBuffer()),
+    };
+};
@@ -0,0 +1,132 @@
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { API_KEYS_FILE } from './config.js';
+import { createJsonFileStore } from './json-store.js';
+import { log } from './logger.js';
+
+const API_KEY_PREFIX = "chs_";
+const ALL_STORES = "*";
+
+const apiKeysFile = createJsonFileStore(API_KEYS_FILE, { keys: {} });
+
+const hashApiKey = (apiKey) =>
+    createHash("sha256").update(String(apiKey)).digest("hex");
+
+const validationError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const normalizeAllowedStores = (allowedStores) => {
+    if (!Array.isArray(allowedStores) || allowedStores.length === 0) {
+        throw validationError(
+            `allowed_stores must list OrderDesk store IDs or "${ALL_STORES}"`
+        );
+    }
+
+    const normalized = Array.from(
+        new Set(allowedStores.map((storeId) => String(storeId ?? "").trim()))
+    );
+    if (normalized.some((storeId) => storeId !== ALL_STORES && !/^\d+$/.test(storeId))) {
+        throw validationError(
+            `allowed_stores must list OrderDesk store IDs or "${ALL_STORES}"`
+        );
+    }
+    return normalized.includes(ALL_STORES) ? [ALL_STORES] : normalized.sort();
+};
+
+const toPublicApiKey = ({ key_hash: keyHash, ...apiKey }) => apiKey;
+
+// Store allowlist for a client, or null when it may submit for every store.
+export const allowedStoreIdsFor = (client) =>
+    !client?.allowed_stores || client.allowed_stores.includes(ALL_STORES)
+        ? null
+        : client.allowed_stores;
+
+export const createApiKey = ({ name, allowedStores }, requestId = null) => {
+    const normalizedName = String(name ?? "").trim();
+    if (!normalizedName) {
+        throw validationError("name is required");
+    }
+    const normalizedStores = normalizeAllowedStores(allowedStores);
+    const apiKey = `${API_KEY_PREFIX}${randomBytes(32).toString("base64url")}`;
+
+    return apiKeysFile.update((store) => {
+        const record = {
+            id: randomUUID(),
+            name: normalizedName,
+            key_prefix: apiKey.slice(0, API_KEY_PREFIX.length + 6),
+            key_hash: hashApiKey(apiKey),
+            allowed_stores: normalizedStores,
+            created_at: new Date().toISOString(),
+            created_by_request_id: requestId,
+            revoked_at: null,
+            revoked_by_request_id: null,
+        };
+        store.keys = store.keys || {};
+        store.keys[record.id] = record;
+
+        log("API key issued", {
+            event: "api_key_issued",
+            request_id: requestId,
+            client_id: record.id,
+            client_name: record.name,
+            allowed_stores: record.allowed_stores,
+        });
+        return { api_key: apiKey, client: toPublicApiKey(record) };
+    });
+};
+
+export const listApiKeys = async () => {
+    const { keys = {} } = await apiKeysFile.read();
+    return Object.values(keys)
+        .sort((left, right) => left.created_at.localeCompare(right.created_at))
+        .map(toPublicApiKey);
+};
+
+export const revokeApiKey = (clientId, requestId = null) =>
+    apiKeysFile.update((store) => {
+        const record = store.keys && Object.hasOwn(store.keys, clientId)
+            ? store.keys[clientId]
+            : null;
+        if (!record) {
+            const error = new Error("API key not found");
+            error.statusCode = 404;
+            throw error;
+        }
+
+        if (!record.revoked_at) {
+            record.revoked_at = new Date().toISOString();
+            record.revoked_by_request_id = requestId;
+            log("API key revoked", {
+                event: "api_key_revoked",
+                request_id: requestId,
+                client_id: record.id,
+                client_name: record.name,
+            });
+        }
+        return toPublicApiKey(record);
+    });
+
+export const findClientByApiKey = async (apiKey) => {
+    if (!apiKey) {
+        return null;
+    }
+
+    const candidateHash = Buffer.from(hashApiKey(apiKey), "hex");
+    const { keys = {} } = await apiKeysFile.read();
+    const record = Object.values(keys).find((entry) =>
+        timingSafeEqual(Buffer.from(entry.key_hash, "hex"), candidateHash)
+    );
+
+    if (!record || record.revoked_at) {
+        return null;
+    }
+
+    return {
+        id: record.id,
+        name: record.name,
+        type: "api_key",
+        allowed_stores: record.allowed_stores,
+    };
+};
@@ -0,0 +1,137 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { findClientByApiKey } from './api-keys.js';
+import { ADMIN_API_TOKEN } from './config.js';
+import { log } from './logger.js';
+import { requireMailgunSignature } from './mailgun-signature.js';
+
+export const MAILGUN_CLIENT = Object.freeze({
+    id: "mailgun",
+    name: "Mailgun inbound route",
+    type: "mailgun",
+    allowed_stores: null,
+});
+
+const ADMIN_CLIENT = Object.freeze({
+    id: "admin",
+    name: "Admin",
+    type: "admin",
+    allowed_stores: null,
+});
+
+const digest = (value) => createHash("sha256").update(String(value)).digest();
+
+export const safeEqual = (left, right) =>
+    timingSafeEqual(digest(left), digest(right));
+
+export const extractBearerToken = (req) =>
+    /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "")?.[1]?.trim() || "";
+
+const extractApiKey = (req) =>
+    String(req.headers["x-api-key"] || "").trim() || extractBearerToken(req);
+
+export const clientSummary = (client) =>
+    client ? { id: client.id, name: client.name, type: client.type } : null;
+
+const rejectApiKey = (req, res) => {
+    log("API key rejected", {
+        event: "api_key_rejected",
+        request_id: req.requestId,
+        path: req.originalUrl || req.url,
+    }, "warn");
+    return res.status(401).json({
+        message: "Invalid or revoked API key",
+        request_id: req.requestId,
+    });
+};
+
+// Direct uploads authenticate with an issued API key before the body is read,
+// so a bad key is refused without buffering any attachment. Requests without
+// a key pass through and must turn out to be signed Mailgun webhooks.
+export const authenticateApiKeyCaller = async (req, res, next) => {
+    const apiKey = extractApiKey(req);
+    if (!apiKey) {
+        return next();
+    }
+
+    try {
+        const client = await findClientByApiKey(apiKey);
+        if (!client) {
+            return rejectApiKey(req, res);
+        }
+
+        req.client = client;
+        req.apiKeyAuthenticated = true;
+        log("Shipment caller authenticated", {
+            event: "shipment_caller_authenticated",
+            request_id: req.requestId,
+            client_id: client.id,
+            client_name: client.name,
+        });
+        return next();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+// Runs once the body is parsed. Either way req.client identifies the caller.
+export const requireShipmentCaller = (req, res, next) => {
+    if (req.apiKeyAuthenticated) {
+        return next();
+    }
+
+    return requireMailgunSignature(req, res, (error) => {
+        if (!error) {
+            req.client = MAILGUN_CLIENT;
+        }
+        return next(error);
+    });
+};
+
+// Status routes accept either the admin token or an issued API key.
+export const requireApiKeyOrAdmin = async (req, res, next) => {
+    const apiKey = extractApiKey(req);
+    if (ADMIN_API_TOKEN && apiKey && safeEqual(apiKey, ADMIN_API_TOKEN)) {
+        req.client = ADMIN_CLIENT;
+        return next();
+    }
+
+    try {
+        const client = await findClientByApiKey(apiKey);
+        if (!client) {
+            return rejectApiKey(req, res);
+        }
+
+        req.client = client;
+        return next();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+export const requireAdminToken = (req, res, next) => {
+    if (!ADMIN_API_TOKEN) {
+        log("Admin request rejected because ADMIN_API_TOKEN is not configured", {
+            event: "admin_auth_unconfigured",
+            request_id: req.requestId,
+        }, "error");
+        return res.status(503).json({
+            message: "Admin API is not configured",
+            request_id: req.requestId,
+        });
+    }
+
+    const token = extractBearerToken(req);
+    if (!token || !safeEqual(token, ADMIN_API_TOKEN)) {
+        log("Admin request rejected", {
+            event: "admin_auth_failed",
+            request_id: req.requestId,
+            path: req.originalUrl || req.url,
+        }, "warn");
+        return res.status(401).json({
+            message: "Invalid or missing admin token",
+            request_id: req.requestId,
+        });
+    }
+
+    return next();
+};
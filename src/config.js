@@ -1,4 +1,5 @@
 import 'dotenv/config';
+import path from 'path';
 
 const parsedMaxAttachmentSizeMb = Number.parseInt(
     process.env.MAX_ATTACHMENT_SIZE_MB || "10",
@@ -11,14 +12,176 @@ export const MAX_ATTACHMENT_SIZE_MB =
         ? parsedMaxAttachmentSizeMb
         : 10;
 export const MAX_ATTACHMENT_SIZE_BYTES = MAX_ATTACHMENT_SIZE_MB * 1024 * 1024;
+const parsedZipMaxEntries = Number.parseInt(
+    process.env.ZIP_MAX_ENTRIES || "100",
+    10
+);
+export const ZIP_MAX_ENTRIES =
+    Number.isFinite(parsedZipMaxEntries) && parsedZipMaxEntries > 0
+        ? parsedZipMaxEntries
+        : 100;
+const parsedZipMaxUncompressedMb = Number.parseFloat(
+    process.env.ZIP_MAX_UNCOMPRESSED_MB || String(MAX_ATTACHMENT_SIZE_MB * 5)
+);
+// Each extracted spreadsheet is also held to MAX_ATTACHMENT_SIZE_BYTES.
+export const ZIP_MAX_UNCOMPRESSED_BYTES =
+    (Number.isFinite(parsedZipMaxUncompressedMb) && parsedZipMaxUncompressedMb > 0
+        ? parsedZipMaxUncompressedMb
+        : MAX_ATTACHMENT_SIZE_MB * 5) * 1024 * 1024;
 export const MAILGUN_API_KEY = process.env.MAILGUN_API_KEY || "";
+export const MAILGUN_API_BASE_URL = (
+    process.env.MAILGUN_API_BASE_URL || "https://api.mailgun.net"
+).replace(/\/+$/, "");
+export const MAILGUN_SENDING_DOMAIN = process.env.MAILGUN_SENDING_DOMAIN || "";
+export const NOTIFY_FROM =
+    process.env.NOTIFY_FROM ||
+    (MAILGUN_SENDING_DOMAIN
+        ? `Cannon Hill Shipment API <noreply@${MAILGUN_SENDING_DOMAIN}>`
+        : "");
+export const NOTIFY_RECIPIENTS = (process.env.NOTIFY_RECIPIENTS || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter(Boolean);
+export const NOTIFY_ORIGINAL_SENDER =
+    String(process.env.NOTIFY_ORIGINAL_SENDER || "").toLowerCase() === "true";
+export const NOTIFY_SUBJECT_TEMPLATE =
+    process.env.NOTIFY_SUBJECT_TEMPLATE ||
+    "Shipment report {{status}}: {{filename}}";
+export const NOTIFY_TEXT_TEMPLATE_FILE = process.env.NOTIFY_TEXT_TEMPLATE_FILE || "";
+export const NOTIFY_ATTACH_ANNOTATED_WORKBOOK =
+    String(process.env.NOTIFY_ATTACH_ANNOTATED_WORKBOOK || "").toLowerCase() === "true";
+export const MAILGUN_WEBHOOK_SIGNING_KEY =
+    process.env.MAILGUN_WEBHOOK_SIGNING_KEY || "";
+const parsedSignatureMaxAgeSeconds = Number.parseInt(
+    process.env.MAILGUN_SIGNATURE_MAX_AGE_SECONDS || "300",
+    10
+);
+export const MAILGUN_SIGNATURE_MAX_AGE_SECONDS =
+    Number.isFinite(parsedSignatureMaxAgeSeconds) && parsedSignatureMaxAgeSeconds > 0
+        ? parsedSignatureMaxAgeSeconds
+        : 300;
 export const MAILGUN_FETCH_RETRY_DELAYS_MS = [250, 500, 1000, 2000];
 export const MAX_ROW_DIAGNOSTICS = 50;
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || "data");
+export const STORE_MAP_FILE =
+    process.env.STORE_MAP_FILE || path.join(DATA_DIR, "store-map.json");
+export const STORE_MAP_CHANGE_LIMIT = 500;
+export const SUBMISSION_LEDGER_FILE =
+    process.env.SUBMISSION_LEDGER_FILE ||
+    path.join(DATA_DIR, "submission-ledger.json");
+const parsedLedgerRetentionDays = Number.parseInt(
+    process.env.SUBMISSION_LEDGER_RETENTION_DAYS || "180",
+    10
+);
+export const SUBMISSION_LEDGER_RETENTION_DAYS =
+    Number.isFinite(parsedLedgerRetentionDays) && parsedLedgerRetentionDays > 0
+        ? parsedLedgerRetentionDays
+        : 180;
+export const MAILGUN_TOKENS_FILE =
+    process.env.MAILGUN_TOKENS_FILE || path.join(DATA_DIR, "mailgun-tokens.json");
+export const DEAD_LETTERS_FILE =
+    process.env.DEAD_LETTERS_FILE || path.join(DATA_DIR, "dead-letters.json");
+export const JOBS_FILE = process.env.JOBS_FILE || path.join(DATA_DIR, "jobs.json");
+export const JOB_PAYLOAD_DIR =
+    process.env.JOB_PAYLOAD_DIR || path.join(DATA_DIR, "job-payloads");
+export const ANNOTATED_WORKBOOK_DIR =
+    process.env.ANNOTATED_WORKBOOK_DIR ||
+    path.join(DATA_DIR, "annotated-workbooks");
+const parsedJobRetentionHours = Number.parseInt(
+    process.env.JOB_RETENTION_HOURS || "168",
+    10
+);
+export const JOB_RETENTION_HOURS =
+    Number.isFinite(parsedJobRetentionHours) && parsedJobRetentionHours > 0
+        ? parsedJobRetentionHours
+        : 168;
+export const HISTORY_FILE =
+    process.env.HISTORY_FILE || path.join(DATA_DIR, "history.json");
+const parsedHistoryRetentionDays = Number.parseInt(
+    process.env.HISTORY_RETENTION_DAYS || "90",
+    10
+);
+export const HISTORY_RETENTION_DAYS =
+    Number.isFinite(parsedHistoryRetentionDays) && parsedHistoryRetentionDays > 0
+        ? parsedHistoryRetentionDays
+        : 90;
+export const PROCESSED_FILES_FILE =
+    process.env.PROCESSED_FILES_FILE || path.join(DATA_DIR, "processed-files.json");
+const parsedDuplicateFileWindowHours = Number.parseFloat(
+    process.env.DUPLICATE_FILE_WINDOW_HOURS || "24"
+);
+export const DUPLICATE_FILE_WINDOW_HOURS =
+    Number.isFinite(parsedDuplicateFileWindowHours) && parsedDuplicateFileWindowHours > 0
+        ? parsedDuplicateFileWindowHours
+        : 24;
+export const MAPPING_PROFILES_FILE = process.env.MAPPING_PROFILES_FILE || "";
+export const RECIPIENT_ROUTES_FILE = process.env.RECIPIENT_ROUTES_FILE || "";
+export const API_KEYS_FILE =
+    process.env.API_KEYS_FILE || path.join(DATA_DIR, "api-keys.json");
+export const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+export const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || "";
+const parsedSubmitBatchSize = Number.parseInt(
+    process.env.SUBMIT_BATCH_SIZE || "50",
+    10
+);
+export const SUBMIT_BATCH_SIZE =
+    Number.isFinite(parsedSubmitBatchSize) && parsedSubmitBatchSize > 0
+        ? parsedSubmitBatchSize
+        : 50;
+const parsedSubmitConcurrency = Number.parseInt(
+    process.env.SUBMIT_CONCURRENCY || "3",
+    10
+);
+export const SUBMIT_CONCURRENCY =
+    Number.isFinite(parsedSubmitConcurrency) && parsedSubmitConcurrency > 0
+        ? parsedSubmitConcurrency
+        : 3;
+export const SUBMITTER =
+    String(process.env.SUBMITTER || "").trim().toLowerCase() === "orderdesk"
+        ? "orderdesk"
+        : "relay";
+export const ORDERDESK_API_BASE_URL = (
+    process.env.ORDERDESK_API_BASE_URL || "https://app.orderdesk.me/api/v2"
+).replace(/\/+$/, "");
+export const ORDERDESK_CREDENTIALS_FILE = process.env.ORDERDESK_CREDENTIALS_FILE || "";
+export const OUTPUT_SINKS_FILE = process.env.OUTPUT_SINKS_FILE || "";
+export const OUTPUT_SINK_DIR =
+    process.env.OUTPUT_SINK_DIR || path.join(DATA_DIR, "outbox");
 export const SUBMIT_ROUTE =
     process.env.SUBMIT_ROUTE ||
     "https://orderdesk-single-order-ship-65ffd8ceba36.herokuapp.com/";
 
+// Each tracking check either rejects the row or accepts it with a warning.
+const trackingCheckAction = (value, fallback) => {
+    const normalized = String(value || "").trim().toLowerCase();
+    return normalized === "reject" || normalized === "warn" ? normalized : fallback;
+};
+export const TRACKING_CHECK_ACTIONS = Object.freeze({
+    MISSING_TRACKING: trackingCheckAction(process.env.TRACKING_MISSING_ACTION, "reject"),
+    INVALID_TRACKING: trackingCheckAction(process.env.TRACKING_INVALID_ACTION, "reject"),
+    CARRIER_MISMATCH: trackingCheckAction(
+        process.env.TRACKING_CARRIER_MISMATCH_ACTION,
+        "warn"
+    ),
+});
+
 export const XLSM_MIME_TYPES = new Set([
     "application/vnd.ms-excel.sheet.macroenabled.12",
     "application/octet-stream",
 ]);
+export const XLSX_MIME_TYPES = new Set([
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+]);
+export const ZIP_MIME_TYPES = new Set([
+    "application/zip",
+    "application/x-zip",
+    "application/x-zip-compressed",
+    "multipart/x-zip",
+]);
+export const CSV_MIME_TYPES = new Set([
+    "text/csv",
+    "application/csv",
+    "text/comma-separated-values",
+]);
+// Legacy binary .xls workbooks; Outlook also labels .csv files with it.
+export const LEGACY_EXCEL_MIME_TYPE = "application/vnd.ms-excel";
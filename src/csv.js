@@ -0,0 +1,59 @@
+const normalizeCsvText = (input) =>
+    (Buffer.isBuffer(input) ? input.toString("utf8") : String(input || ""))
+        .replace(/^\uFEFF/, "");
+
+export const parseCsv = (input = "") => {
+    const text = normalizeCsvText(input);
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let index = 0; index < text.length; index += 1) {
+        const char = text[index];
+
+        if (inQuotes) {
+            if (char === '"' && text[index + 1] === '"') {
+                field += '"';
+                index += 1;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[index + 1] === "\n") {
+                index += 1;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+};
+
+const escapeCsvField = (value) => {
+    const text = String(value ?? "");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const formatCsv = (rows = []) =>
+    rows.map((row) => `${row.map(escapeCsvField).join(",")}\r\n`).join("");
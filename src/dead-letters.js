@@ -0,0 +1,220 @@
+import { randomUUID } from 'crypto';
+import { DEAD_LETTERS_FILE } from './config.js';
+import { createJsonFileStore } from './json-store.js';
+import { log } from './logger.js';
+import { deliverToOutputSinks } from './sinks.js';
+import {
+    recordSubmittedShipments,
+    releaseShipmentReservation,
+    reserveShipments,
+} from './submission-ledger.js';
+import { postToSubmitRoute } from './submit.js';
+
+const deadLettersFile = createJsonFileStore(DEAD_LETTERS_FILE, { batches: {} });
+const replayingIds = new Set();
+
+const toListEntry = ({ shipments, ...batch }) => ({
+    ...batch,
+    shipment_count: shipments.length,
+});
+
+const notFoundError = () => {
+    const error = new Error("Dead-letter batch not found");
+    error.statusCode = 404;
+    return error;
+};
+
+// Persists each failed chunk with the shipments it carried so nothing is lost
+// once postToSubmitRoute has exhausted its retries.
+export const addDeadLetters = async (
+    failedChunks = [],
+    shipments = [],
+    requestId = null,
+    submitRoute = null
+) => {
+    if (failedChunks.length === 0) {
+        return [];
+    }
+
+    const shipmentsBySourceId = new Map(
+        shipments.map((shipment) => [shipment.source_id, shipment])
+    );
+    const createdAt = new Date().toISOString();
+    const batches = failedChunks.map((chunk) => ({
+        id: randomUUID(),
+        state: "pending",
+        request_id: requestId,
+        chunk: chunk.chunk,
+        error: chunk.message,
+        attempts: chunk.attempts || 0,
+        submit_route: submitRoute,
+        source_ids: chunk.source_ids,
+        shipments: chunk.source_ids
+            .map((sourceId) => shipmentsBySourceId.get(sourceId))
+            .filter(Boolean),
+        created_at: createdAt,
+        updated_at: createdAt,
+        replays: [],
+    }));
+
+    await deadLettersFile.update((store) => {
+        store.batches = store.batches || {};
+        batches.forEach((batch) => {
+            store.batches[batch.id] = batch;
+        });
+    });
+
+    log("Failed shipment batches saved to dead-letter store", {
+        event: "dead_letters_saved",
+        request_id: requestId,
+        batch_ids: batches.map((batch) => batch.id),
+        shipment_count: batches.reduce(
+            (total, batch) => total + batch.shipments.length,
+            0
+        ),
+    }, "warn");
+    return batches.map(toListEntry);
+};
+
+export const listDeadLetters = async ({ state = null } = {}) => {
+    const { batches = {} } = await deadLettersFile.read();
+    return Object.values(batches)
+        .filter((batch) => !state || batch.state === state)
+        .sort((left, right) => right.created_at.localeCompare(left.created_at))
+        .map(toListEntry);
+};
+
+export const getDeadLetter = async (batchId) => {
+    const { batches = {} } = await deadLettersFile.read();
+    return Object.hasOwn(batches, batchId) ? batches[batchId] : null;
+};
+
+const replayBatch = async (batch, requestId) => {
+    const replay = { request_id: requestId, replayed_at: new Date().toISOString() };
+    let attempts = 0;
+
+    // Orders a later upload submitted in the meantime are marked replayed
+    // without being sent again.
+    const { pending, alreadySubmitted, reservationId } = await reserveShipments(
+        batch.shipments,
+        requestId
+    );
+    let remainingShipments = pending;
+    if (alreadySubmitted.length > 0) {
+        replay.already_submitted_source_ids = alreadySubmitted.map(
+            (shipment) => shipment.source_id
+        );
+    }
+
+    try {
+        if (pending.length === 0) {
+            replay.status = "already_submitted";
+            replay.message = "Every shipment in this batch was already submitted";
+        } else {
+            const response = await postToSubmitRoute(pending, 3, requestId, {
+                submitRoute: batch.submit_route,
+            });
+            const failedSourceIds = new Set(response.source_ids.failed);
+            const submittedShipments = pending.filter(
+                (shipment) => !failedSourceIds.has(shipment.source_id)
+            );
+            await recordSubmittedShipments(submittedShipments, requestId);
+            const sinks = await deliverToOutputSinks(submittedShipments, { requestId });
+            if (sinks.length > 0) {
+                replay.sinks = sinks;
+            }
+
+            remainingShipments = pending.filter((shipment) =>
+                failedSourceIds.has(shipment.source_id)
+            );
+            attempts = response.chunks.reduce((total, chunk) => total + chunk.attempts, 0);
+            replay.status = response.status;
+            replay.message = response.message;
+        }
+    } catch (error) {
+        attempts = (error.chunks || []).reduce(
+            (total, chunk) => total + (chunk.attempts || 0),
+            0
+        );
+        replay.status = "failed";
+        replay.message = error.chunks?.[0]?.message || error.message;
+    } finally {
+        await releaseShipmentReservation(reservationId);
+    }
+
+    return deadLettersFile.update((store) => {
+        const stored = store.batches[batch.id];
+        stored.attempts += attempts;
+        stored.updated_at = replay.replayed_at;
+        stored.replays = [...(stored.replays || []), replay];
+        if (remainingShipments.length === 0) {
+            stored.state = "replayed";
+        } else {
+            stored.shipments = remainingShipments;
+            stored.source_ids = remainingShipments.map((shipment) => shipment.source_id);
+            stored.error = replay.message;
+        }
+
+        log(
+            stored.state === "replayed"
+                ? "Dead-letter batch replayed"
+                : "Dead-letter batch replay failed",
+            {
+                event:
+                    stored.state === "replayed"
+                        ? "dead_letter_replayed"
+                        : "dead_letter_replay_failed",
+                request_id: requestId,
+                batch_id: stored.id,
+                original_request_id: stored.request_id,
+                remaining_shipment_count: remainingShipments.length,
+            },
+            stored.state === "replayed" ? "info" : "warn"
+        );
+        return { ...toListEntry(stored), replay };
+    });
+};
+
+export const replayDeadLetter = async (batchId, requestId = null) => {
+    const batch = await getDeadLetter(batchId);
+    if (!batch) {
+        throw notFoundError();
+    }
+    if (batch.state !== "pending") {
+        const error = new Error("Dead-letter batch was already replayed");
+        error.statusCode = 409;
+        throw error;
+    }
+    if (replayingIds.has(batchId)) {
+        const error = new Error("Dead-letter batch is already being replayed");
+        error.statusCode = 409;
+        throw error;
+    }
+
+    replayingIds.add(batchId);
+    try {
+        return await replayBatch(batch, requestId);
+    } finally {
+        replayingIds.delete(batchId);
+    }
+};
+
+// Replays the given batch IDs, or every pending batch when none are given.
+export const replayDeadLetters = async (batchIds = null, requestId = null) => {
+    const targetIds = Array.isArray(batchIds) && batchIds.length > 0
+        ? batchIds
+        : (await listDeadLetters({ state: "pending" })).map((batch) => batch.id);
+
+    const results = [];
+    for (const batchId of targetIds) {
+        try {
+            results.push(await replayDeadLetter(batchId, requestId));
+        } catch (error) {
+            results.push({
+                id: batchId,
+                replay: { status: "skipped", message: error.message },
+            });
+        }
+    }
+    return results;
+};
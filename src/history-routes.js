@@ -0,0 +1,45 @@
+import { Router } from 'express';
+import { requireApiKeyOrAdmin } from './auth.js';
+import { getProcessingRun, listProcessingRuns } from './history.js';
+
+export const historyRouter = Router();
+
+// API keys only see their own uploads; the admin token sees every run.
+const visibleClientId = (client) => (client?.type === "admin" ? null : client?.id);
+
+historyRouter.get('/history', requireApiKeyOrAdmin, async (req, res, next) => {
+    try {
+        return res.status(200).json({
+            history: await listProcessingRuns({
+                from: req.query.from || null,
+                to: req.query.to || null,
+                store: req.query.store || null,
+                status: req.query.status || null,
+                clientId: visibleClientId(req.client),
+                limit: req.query.limit || null,
+            }),
+            request_id: req.requestId,
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+historyRouter.get('/history/:id', requireApiKeyOrAdmin, async (req, res, next) => {
+    try {
+        const run = await getProcessingRun(req.params.id);
+        const clientId = visibleClientId(req.client);
+        if (!run || (clientId && run.client?.id !== clientId)) {
+            return res.status(404).json({
+                message: "History record not found",
+                request_id: req.requestId,
+            });
+        }
+        return res.status(200).json({
+            run,
+            request_id: req.requestId,
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
@@ -0,0 +1,167 @@
+import { randomUUID } from 'crypto';
+import { clientSummary } from './auth.js';
+import {
+    HISTORY_FILE,
+    HISTORY_RETENTION_DAYS,
+    MAX_ROW_DIAGNOSTICS,
+} from './config.js';
+import { createJsonFileStore } from './json-store.js';
+import { log } from './logger.js';
+import { fileContentHash } from './processed-files.js';
+
+const historyFile = createJsonFileStore(HISTORY_FILE, { runs: {} });
+
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 500;
+
+const toListEntry = ({ diagnostics, ...run }) => ({
+    ...run,
+    diagnostic_count: diagnostics.length,
+});
+
+const storeIdsOf = (rowResults = []) =>
+    Array.from(
+        new Set(
+            rowResults
+                .map((result) => String(result.source_id || "").split("-")[0])
+                .filter(Boolean)
+        )
+    ).sort();
+
+const describeDownstream = (result) => {
+    if (!result || result.status === "dry_run") {
+        return null;
+    }
+    return {
+        status: result.status,
+        message: result.message,
+        ...(result.execution_time ? { execution_time: result.execution_time } : {}),
+        ...(result.dead_letter_ids ? { dead_letter_ids: result.dead_letter_ids } : {}),
+        ...(result.sinks ? { sinks: result.sinks } : {}),
+    };
+};
+
+// Records one processShipmentFiles run: who sent what, its content hashes and
+// how it ended. A failure to record is logged but never fails the run.
+export const recordProcessingRun = async (
+    req,
+    { files = [], dryRun = false, startedAt, result = null, error = null, rowResults = [] }
+) => {
+    const finishedAt = new Date();
+    const context = req.context || req.body || {};
+    const details = result || error?.details || {};
+    const diagnostics = details.diagnostics || [];
+    const run = {
+        id: randomUUID(),
+        request_id: req.requestId || null,
+        job_id: req.jobId || null,
+        source: ["mailgun", "cli"].includes(req.client?.type) ? req.client.type : "upload",
+        client: clientSummary(req.client),
+        sender: context.sender || context.from || null,
+        recipient: context.recipient || null,
+        recipient_route: req.client?.recipient_route || null,
+        dry_run: dryRun,
+        status: result?.status || "failed",
+        files: files.map((file) => ({
+            filename: file.originalname,
+            size: file.buffer?.length || 0,
+            sha256: fileContentHash(file.buffer),
+        })),
+        file_results: details.files || [],
+        store_ids: storeIdsOf(rowResults),
+        summary: details.summary || null,
+        diagnostics: diagnostics.slice(0, MAX_ROW_DIAGNOSTICS),
+        downstream: describeDownstream(result),
+        error: error
+            ? {
+                status: error.statusCode || error.status || 500,
+                message: error.message,
+                ...(error.dead_letters
+                    ? { dead_letter_ids: error.dead_letters.map((batch) => batch.id) }
+                    : {}),
+            }
+            : null,
+        started_at: startedAt.toISOString(),
+        finished_at: finishedAt.toISOString(),
+        duration_ms: finishedAt.getTime() - startedAt.getTime(),
+    };
+
+    try {
+        await historyFile.update((store) => {
+            const retentionCutoff =
+                Date.now() - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+            store.runs = store.runs || {};
+            store.runs[run.id] = run;
+            Object.entries(store.runs).forEach(([runId, entry]) => {
+                if (Date.parse(entry.started_at) < retentionCutoff) {
+                    delete store.runs[runId];
+                }
+            });
+        });
+    } catch (historyError) {
+        log("Processing history could not be recorded", {
+            event: "processing_history_failed",
+            request_id: req.requestId,
+            error: historyError,
+        }, "error");
+    }
+    return run;
+};
+
+const invalidFilter = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const parseDateFilter = (value, name) => {
+    if (!value) {
+        return null;
+    }
+    const timestamp = Date.parse(value);
+    if (!Number.isFinite(timestamp)) {
+        throw invalidFilter(`${name} must be an ISO 8601 date or timestamp`);
+    }
+    return timestamp;
+};
+
+// Runs newest first. `to` given as a bare date covers that whole day.
+export const listProcessingRuns = async ({
+    from = null,
+    to = null,
+    store = null,
+    status = null,
+    clientId = null,
+    limit = null,
+} = {}) => {
+    const fromTime = parseDateFilter(from, "from");
+    let toTime = parseDateFilter(to, "to");
+    if (toTime !== null && /^\d{4}-\d{2}-\d{2}$/.test(String(to))) {
+        toTime += 24 * 60 * 60 * 1000 - 1;
+    }
+    const parsedLimit = Number.parseInt(limit || DEFAULT_LIST_LIMIT, 10);
+    if (!Number.isFinite(parsedLimit) || parsedLimit <= 0) {
+        throw invalidFilter("limit must be a positive integer");
+    }
+
+    const { runs = {} } = await historyFile.read();
+    return Object.values(runs)
+        .filter((run) => {
+            const startedAt = Date.parse(run.started_at);
+            return (
+                (fromTime === null || startedAt >= fromTime) &&
+                (toTime === null || startedAt <= toTime) &&
+                (!store || run.store_ids.includes(String(store))) &&
+                (!status || run.status === status) &&
+                (!clientId || run.client?.id === clientId)
+            );
+        })
+        .sort((left, right) => right.started_at.localeCompare(left.started_at))
+        .slice(0, Math.min(parsedLimit, MAX_LIST_LIMIT))
+        .map(toListEntry);
+};
+
+export const getProcessingRun = async (runId) => {
+    const { runs = {} } = await historyFile.read();
+    return Object.hasOwn(runs, runId) ? runs[runId] : null;
+};
@@ -1,5 +1,15 @@
 import { randomUUID } from 'crypto';
 import { log } from './logger.js';
+import { httpRequestDurationSeconds } from './metrics.js';
+
+// Matched route patterns keep the metric's label cardinality bounded.
+const routeLabel = (req) => {
+    if (!req.route) {
+        return "unmatched";
+    }
+    const routePath = Array.isArray(req.route.path) ? req.path : req.route.path;
+    return `${req.baseUrl || ""}${routePath}`;
+};
 
 export const requestLogger = (req, res, next) => {
     const requestId = req.headers["x-request-id"] || randomUUID();
@@ -17,6 +27,12 @@ export const requestLogger = (req, res, next) => {
     });
 
     res.on("finish", () => {
+        httpRequestDurationSeconds.observe({
+            method: req.method,
+            route: routeLabel(req),
+            status_code: res.statusCode,
+        }, (Date.now() - startTime) / 1000);
+
         log("HTTP request finished", {
             event: "http_request_finished",
             request_id: requestId,
@@ -59,3 +75,12 @@ export const handleError = (request, response, error) => {
         },
     });
 };
+
+export const sendFileDownload = (res, { filename, mimetype, buffer }) => {
+    res.setHeader("Content-Type", mimetype || "application/octet-stream");
+    res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${String(filename || "download").replace(/["\\\r\n]/g, "")}"`
+    );
+    return res.status(200).send(buffer);
+};
@@ -0,0 +1,80 @@
+import { Router } from 'express';
+import { clientSummary, requireApiKeyOrAdmin } from './auth.js';
+import { sendFileDownload } from './http.js';
+import { ANNOTATED_WORKBOOK_MIME_TYPE } from './annotated-workbook.js';
+import { getJob, readAnnotatedWorkbook } from './jobs.js';
+
+export const jobRouter = Router();
+
+const canViewJob = (client, job) =>
+    client?.type === "admin" || client?.id === job.client?.id;
+
+jobRouter.get('/jobs/:id', requireApiKeyOrAdmin, async (req, res, next) => {
+    try {
+        const job = await getJob(req.params.id);
+        if (!job || !canViewJob(req.client, job)) {
+            return res.status(404).json({
+                message: "Job not found",
+                request_id: req.requestId,
+            });
+        }
+
+        return res.status(200).json({
+            job_id: job.id,
+            state: job.state,
+            source: job.source,
+            client: clientSummary(job.client),
+            filenames: job.filenames,
+            mapping_profile: job.mapping_profile || null,
+            recipient_route: job.recipient_route || null,
+            files: job.result?.files || job.error?.details?.files || [],
+            attempts: job.attempts,
+            created_at: job.created_at,
+            started_at: job.started_at,
+            finished_at: job.finished_at,
+            summary: job.result?.summary || job.error?.details?.summary || null,
+            diagnostics:
+                job.result?.diagnostics || job.error?.details?.diagnostics || [],
+            downstream: job.result
+                ? {
+                    status: job.result.status,
+                    message: job.result.message,
+                    execution_time: job.result.execution_time,
+                    results: job.result.results || [],
+                    orders: job.result.orders || [],
+                    ...(job.result.duplicate_of
+                        ? { duplicate_of: job.result.duplicate_of }
+                        : {}),
+                }
+                : null,
+            error: job.error,
+            annotated_workbooks: job.annotated_workbooks || [],
+            job_request_id: job.request_id,
+            request_id: req.requestId,
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
+
+jobRouter.get('/jobs/:id/annotated-workbook', requireApiKeyOrAdmin, async (req, res, next) => {
+    try {
+        const job = await getJob(req.params.id);
+        const fileIndex = Number.parseInt(req.query.file || "0", 10);
+        const annotatedWorkbook = job?.annotated_workbooks?.[fileIndex];
+        if (!job || !canViewJob(req.client, job) || !annotatedWorkbook) {
+            return res.status(404).json({
+                message: "Annotated workbook not found",
+                request_id: req.requestId,
+            });
+        }
+
+        return sendFileDownload(res, {
+            filename: annotatedWorkbook.filename,
+            mimetype: ANNOTATED_WORKBOOK_MIME_TYPE,
+            buffer: await readAnnotatedWorkbook(job.id, fileIndex),
+        });
+    } catch (error) {
+        return next(error);
+    }
+});
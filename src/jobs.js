@@ -0,0 +1,350 @@
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import {
+    ANNOTATED_WORKBOOK_DIR,
+    JOBS_FILE,
+    JOB_PAYLOAD_DIR,
+    JOB_RETENTION_HOURS,
+} from './config.js';
+import { createJsonFileStore } from './json-store.js';
+import { log } from './logger.js';
+import { fetchMailgunAttachments } from './mailgun.js';
+import { notifyProcessingResult } from './notifications.js';
+import { processShipmentFiles } from './shipment-service.js';
+
+const jobsFile = createJsonFileStore(JOBS_FILE, { jobs: {} });
+
+// Only the webhook fields needed to retrieve the stored message are kept.
+const MAILGUN_BODY_FIELDS = ["message-url", "domain", "body-mime", "mime", "recipient"];
+// Kept with the payload, not the job record, so addresses stay out of status responses.
+const NOTIFICATION_CONTEXT_FIELDS = ["sender", "from", "subject", "recipient"];
+const UNNOTIFIED_RESULT_STATUSES = new Set(["duplicate_file", "already_submitted"]);
+
+const pickFields = (body = {}, fields) =>
+    Object.fromEntries(
+        fields
+            .filter((field) => body?.[field])
+            .map((field) => [field, body[field]])
+    );
+
+let activeDrain = null;
+let drainRequested = false;
+
+const payloadPath = (jobId) => path.join(JOB_PAYLOAD_DIR, `${jobId}.json`);
+
+const writePayload = async (jobId, payload) => {
+    await fs.mkdir(JOB_PAYLOAD_DIR, { recursive: true });
+    await fs.writeFile(payloadPath(jobId), JSON.stringify(payload));
+};
+
+const readPayload = async (jobId) =>
+    JSON.parse(await fs.readFile(payloadPath(jobId), "utf8"));
+
+const removePayload = (jobId) =>
+    fs.rm(payloadPath(jobId), { force: true });
+
+const annotatedWorkbookPath = (jobId, index) =>
+    path.join(ANNOTATED_WORKBOOK_DIR, `${jobId}-${index}.xlsx`);
+
+const saveAnnotatedWorkbooks = async (jobId, annotatedWorkbooks = []) => {
+    if (annotatedWorkbooks.length === 0) {
+        return [];
+    }
+
+    await fs.mkdir(ANNOTATED_WORKBOOK_DIR, { recursive: true });
+    return Promise.all(annotatedWorkbooks.map(async (annotatedWorkbook, index) => {
+        await fs.writeFile(annotatedWorkbookPath(jobId, index), annotatedWorkbook.buffer);
+        return {
+            filename: annotatedWorkbook.filename,
+            url: `/jobs/${jobId}/annotated-workbook?file=${index}`,
+        };
+    }));
+};
+
+export const readAnnotatedWorkbook = (jobId, index = 0) =>
+    fs.readFile(annotatedWorkbookPath(jobId, index));
+
+const removeJobFiles = async (jobId) => {
+    const workbookPrefix = `${jobId}-`;
+    const workbookFiles = await fs.readdir(ANNOTATED_WORKBOOK_DIR).catch(() => []);
+    await Promise.all([
+        removePayload(jobId),
+        ...workbookFiles
+            .filter((name) => name.startsWith(workbookPrefix))
+            .map((name) => fs.rm(path.join(ANNOTATED_WORKBOOK_DIR, name), { force: true })),
+    ]);
+};
+
+const serializeJobError = (error) => {
+    const statusCode = error?.statusCode || error?.status || 500;
+    return {
+        status: statusCode,
+        message: error?.message || "Shipment processing failed",
+        ...(statusCode < 500 && error?.details ? { details: error.details } : {}),
+        ...(error?.dead_letters
+            ? { dead_letter_ids: error.dead_letters.map((batch) => batch.id) }
+            : {}),
+        ...(error?.orders ? { orders: error.orders } : {}),
+    };
+};
+
+export const enqueueShipmentJob = async (
+    req,
+    {
+        files = null,
+        mailgunAttachments = null,
+        profileId = null,
+        submitRoute = null,
+        force = false,
+    }
+) => {
+    const jobId = randomUUID();
+    const createdAt = new Date().toISOString();
+    const source = files ? "multipart" : "mailgun";
+
+    const context = pickFields(req.body, NOTIFICATION_CONTEXT_FIELDS);
+    // The destination stays in the payload so it never shows in job status.
+    await writePayload(jobId, files
+        ? {
+            context,
+            submit_route: submitRoute,
+            files: files.map((file) => ({
+                fieldname: file.fieldname,
+                originalname: file.originalname,
+                mimetype: file.mimetype,
+                size: file.size,
+                buffer: file.buffer.toString("base64"),
+            })),
+        }
+        : {
+            context,
+            submit_route: submitRoute,
+            mailgun: {
+                body: pickFields(req.body, MAILGUN_BODY_FIELDS),
+                attachments: mailgunAttachments,
+            },
+        });
+
+    const job = {
+        id: jobId,
+        state: "queued",
+        source,
+        request_id: req.requestId,
+        client: req.client || null,
+        filenames: (files || mailgunAttachments || [])
+            .map((file) => file.originalname || file.name)
+            .filter(Boolean),
+        mapping_profile: profileId,
+        recipient_route: req.client?.recipient_route || null,
+        force,
+        attempts: 0,
+        created_at: createdAt,
+        started_at: null,
+        finished_at: null,
+        annotated_workbooks: [],
+        result: null,
+        error: null,
+    };
+
+    await jobsFile.update((store) => {
+        store.jobs = store.jobs || {};
+        store.jobs[jobId] = job;
+    });
+
+    log("Shipment job queued", {
+        event: "shipment_job_queued",
+        request_id: req.requestId,
+        job_id: jobId,
+        client_id: req.client?.id,
+        source,
+    });
+
+    drainJobQueue();
+    return { ...job };
+};
+
+export const getJob = async (jobId) => {
+    const { jobs = {} } = await jobsFile.read();
+    return Object.hasOwn(jobs, jobId) ? jobs[jobId] : null;
+};
+
+const claimNextJob = () =>
+    jobsFile.update((store) => {
+        const nextJob = Object.values(store.jobs || {})
+            .filter((job) => job.state === "queued")
+            .sort((left, right) => left.created_at.localeCompare(right.created_at))[0];
+
+        if (!nextJob) {
+            return null;
+        }
+
+        nextJob.state = "running";
+        nextJob.attempts += 1;
+        nextJob.started_at = new Date().toISOString();
+        return { ...nextJob };
+    });
+
+const finishJob = (jobId, changes) =>
+    jobsFile.update((store) => {
+        const retentionCutoff = Date.now() - JOB_RETENTION_HOURS * 60 * 60 * 1000;
+        const expiredJobIds = [];
+
+        Object.assign(store.jobs[jobId], changes, {
+            finished_at: new Date().toISOString(),
+        });
+
+        Object.values(store.jobs).forEach((job) => {
+            if (job.finished_at && Date.parse(job.finished_at) < retentionCutoff) {
+                expiredJobIds.push(job.id);
+                delete store.jobs[job.id];
+            }
+        });
+        return expiredJobIds;
+    });
+
+const loadJobFiles = async (payload, req) => {
+    if (payload.files) {
+        return payload.files.map((file) => ({
+            ...file,
+            buffer: Buffer.from(file.buffer, "base64"),
+        }));
+    }
+
+    req.body = payload.mailgun?.body || {};
+    return fetchMailgunAttachments(req, payload.mailgun?.attachments || []);
+};
+
+const runJob = async (job) => {
+    const req = {
+        requestId: job.request_id,
+        jobId: job.id,
+        client: job.client,
+        body: {},
+    };
+
+    log("Shipment job started", {
+        event: "shipment_job_started",
+        request_id: job.request_id,
+        job_id: job.id,
+        attempt: job.attempts,
+    });
+
+    let changes;
+    let payload = null;
+    let annotatedWorkbooks = [];
+    try {
+        payload = await readPayload(job.id);
+        req.context = payload.context || {};
+        const files = await loadJobFiles(payload, req);
+        const result = await processShipmentFiles(req, files, {
+            annotate: true,
+            profileId: job.mapping_profile,
+            submitRoute: payload.submit_route,
+            force: Boolean(job.force),
+        });
+        annotatedWorkbooks = result.annotatedWorkbooks || [];
+        changes = { state: "succeeded", result };
+        log("Shipment job succeeded", {
+            event: "shipment_job_succeeded",
+            request_id: job.request_id,
+            job_id: job.id,
+            status: result.status,
+        });
+    } catch (error) {
+        annotatedWorkbooks = error.annotatedWorkbooks || [];
+        changes = { state: "failed", error: serializeJobError(error) };
+        log("Shipment job failed", {
+            event: "shipment_job_failed",
+            request_id: job.request_id,
+            job_id: job.id,
+            error,
+        }, "error");
+    }
+
+    try {
+        changes.annotated_workbooks = await saveAnnotatedWorkbooks(
+            job.id,
+            annotatedWorkbooks
+        );
+    } catch (error) {
+        log("Annotated workbook could not be saved", {
+            event: "annotated_workbook_save_failed",
+            request_id: job.request_id,
+            job_id: job.id,
+            error,
+        }, "error");
+    }
+
+    const expiredJobIds = await finishJob(job.id, changes);
+
+    // Only a finished job is notified, so one re-queued after a crash never
+    // emails its sender twice. Nothing new happened for a repeated report (a
+    // Mailgun retry or re-forward), so it is not notified again.
+    if (!UNNOTIFIED_RESULT_STATUSES.has(changes.result?.status)) {
+        await notifyProcessingResult({
+            requestId: job.request_id,
+            filename: job.filenames.join(", "),
+            context: payload?.context,
+            result: changes.result,
+            error: changes.error,
+            annotatedWorkbooks,
+        });
+    }
+    await Promise.all([
+        removePayload(job.id),
+        ...expiredJobIds.map(removeJobFiles),
+    ]);
+};
+
+export const drainJobQueue = () => {
+    if (activeDrain) {
+        drainRequested = true;
+        return activeDrain;
+    }
+
+    activeDrain = (async () => {
+        do {
+            drainRequested = false;
+            let job = await claimNextJob();
+            while (job) {
+                await runJob(job);
+                job = await claimNextJob();
+            }
+        } while (drainRequested);
+    })()
+        .catch((error) => {
+            log("Shipment job queue stopped unexpectedly", {
+                event: "shipment_job_queue_failed",
+                error,
+            }, "error");
+        })
+        .finally(() => {
+            activeDrain = null;
+        });
+
+    return activeDrain;
+};
+
+// Jobs left running by a previous process are re-queued so they survive a
+// restart; the submission ledger keeps a re-run from resubmitting shipments.
+export const startJobWorker = async () => {
+    const recoveredJobIds = await jobsFile.update((store) =>
+        Object.values(store.jobs || {})
+            .filter((job) => job.state === "running")
+            .map((job) => {
+                job.state = "queued";
+                return job.id;
+            })
+    );
+
+    if (recoveredJobIds.length > 0) {
+        log("Re-queued shipment jobs interrupted by a restart", {
+            event: "shipment_jobs_recovered",
+            job_ids: recoveredJobIds,
+        }, "warn");
+    }
+
+    drainJobQueue();
+    return recoveredJobIds;
+};
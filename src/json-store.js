@@ -0,0 +1,45 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const cloneDefault = (defaultValue) =>
+    typeof defaultValue === "function"
+        ? defaultValue()
+        : JSON.parse(JSON.stringify(defaultValue));
+
+export const createJsonFileStore = (filePath, defaultValue = {}) => {
+    let pendingWrite = Promise.resolve();
+
+    const read = async () => {
+        try {
+            return JSON.parse(await fs.readFile(filePath, "utf8"));
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                return cloneDefault(defaultValue);
+            }
+            error.message = `Failed to read ${path.basename(filePath)}: ${error.message}`;
+            throw error;
+        }
+    };
+
+    const write = async (value) => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const temporaryPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(temporaryPath, JSON.stringify(value, null, 2));
+        await fs.rename(temporaryPath, filePath);
+    };
+
+    // Updates are serialized so concurrent requests never lose each other's
+    // read-modify-write cycle. The mutator may return a result for the caller.
+    const update = (mutator) => {
+        const run = pendingWrite.then(async () => {
+            const value = await read();
+            const result = await mutator(value);
+            await write(value);
+            return result;
+        });
+        pendingWrite = run.catch(() => {});
+        return run;
+    };
+
+    return { filePath, read, update };
+};
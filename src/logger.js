@@ -45,9 +45,16 @@ const sanitizeForLogging = (value, seen = new WeakSet(), key = "") => {
     return value;
 };
 
+let logToStderr = false;
+
+// The CLI keeps stdout for its own output.
+export const sendLogsToStderr = () => {
+    logToStderr = true;
+};
+
 export const log = (message, data = null, level = "info") => {
     const levels = { info: console.log, warn: console.warn, error: console.error };
-    const logger = levels[level] || console.log;
+    const logger = logToStderr ? console.error : (levels[level] || console.log);
     const sanitizedData =
         data !== null && data !== undefined ? sanitizeForLogging(data) : null;
     const entry = {
@@ -0,0 +1,148 @@
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+import {
+    MAILGUN_SIGNATURE_MAX_AGE_SECONDS,
+    MAILGUN_TOKENS_FILE,
+    MAILGUN_WEBHOOK_SIGNING_KEY,
+} from './config.js';
+import { createJsonFileStore } from './json-store.js';
+import { log } from './logger.js';
+
+const usedTokensFile = createJsonFileStore(MAILGUN_TOKENS_FILE, { tokens: {} });
+
+const signatureError = (message, reason) => {
+    const error = new Error(message);
+    error.statusCode = 401;
+    error.reason = reason;
+    return error;
+};
+
+// Inbound routes post timestamp/token/signature as top-level fields, while
+// event webhooks nest them under a `signature` object.
+const extractSignatureFields = (body = {}) => {
+    const source =
+        body.signature && typeof body.signature === "object"
+            ? body.signature
+            : body;
+    return {
+        timestamp: String(source.timestamp || ""),
+        token: String(source.token || ""),
+        signature: String(source.signature || ""),
+    };
+};
+
+const isValidHmac = ({ timestamp, token, signature }) => {
+    const expected = createHmac("sha256", MAILGUN_WEBHOOK_SIGNING_KEY)
+        .update(`${timestamp}${token}`)
+        .digest();
+    const provided = Buffer.from(signature, "hex");
+
+    return provided.length === expected.length && timingSafeEqual(provided, expected);
+};
+
+const claimToken = (token, timestampSeconds) => {
+    const tokenKey = createHash("sha256").update(token).digest("hex");
+    const now = Date.now();
+
+    return usedTokensFile.update((store) => {
+        store.tokens = store.tokens || {};
+        Object.entries(store.tokens).forEach(([key, expiresAt]) => {
+            if (expiresAt <= now) {
+                delete store.tokens[key];
+            }
+        });
+
+        if (store.tokens[tokenKey]) {
+            throw signatureError(
+                "Mailgun webhook token was already used",
+                "replayed_token"
+            );
+        }
+
+        store.tokens[tokenKey] =
+            (timestampSeconds + MAILGUN_SIGNATURE_MAX_AGE_SECONDS) * 1000;
+    });
+};
+
+export const verifyMailgunSignature = async (body = {}) => {
+    const fields = extractSignatureFields(body);
+    if (!fields.timestamp || !fields.token || !fields.signature) {
+        throw signatureError(
+            "Missing Mailgun webhook signature",
+            "missing_signature"
+        );
+    }
+
+    const timestampSeconds = Number(fields.timestamp);
+    if (
+        !Number.isFinite(timestampSeconds) ||
+        Math.abs(Date.now() / 1000 - timestampSeconds) >
+            MAILGUN_SIGNATURE_MAX_AGE_SECONDS
+    ) {
+        throw signatureError(
+            "Mailgun webhook timestamp is outside the accepted window",
+            "stale_timestamp"
+        );
+    }
+
+    if (!isValidHmac(fields)) {
+        throw signatureError(
+            "Invalid Mailgun webhook signature",
+            "invalid_signature"
+        );
+    }
+
+    await claimToken(fields.token, timestampSeconds);
+};
+
+const checkMailgunRequest = async (body) => {
+    if (!MAILGUN_WEBHOOK_SIGNING_KEY) {
+        const error = new Error("Mailgun webhook verification is not configured");
+        error.statusCode = 503;
+        throw error;
+    }
+    await verifyMailgunSignature(body);
+};
+
+// Runs at most once per request: multipart deliveries are checked as their
+// first file part arrives (the signature fields come before attachments), so
+// the token is claimed there and must not be claimed again afterwards.
+export const verifyMailgunRequest = (req) => {
+    req.mailgunSignatureCheck = req.mailgunSignatureCheck || checkMailgunRequest(req.body);
+    return req.mailgunSignatureCheck;
+};
+
+export const rejectMailgunRequest = (req, res, next, error) => {
+    if (error.statusCode === 503) {
+        log("Webhook rejected because MAILGUN_WEBHOOK_SIGNING_KEY is not configured", {
+            event: "mailgun_signature_unconfigured",
+            request_id: req.requestId,
+        }, "error");
+        return res.status(503).json({
+            message: error.message,
+            request_id: req.requestId,
+        });
+    }
+    if (error.statusCode !== 401) {
+        return next(error);
+    }
+
+    log("Mailgun webhook signature rejected", {
+        event: "mailgun_signature_rejected",
+        request_id: req.requestId,
+        reason: error.reason,
+    }, "warn");
+    return res.status(401).json({
+        message: error.message,
+        request_id: req.requestId,
+        error: { status: 401, reason: error.reason },
+    });
+};
+
+export const requireMailgunSignature = async (req, res, next) => {
+    try {
+        await verifyMailgunRequest(req);
+        return next();
+    } catch (error) {
+        return rejectMailgunRequest(req, res, next, error);
+    }
+};
@@ -1,26 +1,43 @@
 import multer from 'multer';
-import fetch from 'node-fetch';
+import fetch, { File, FormData } from 'node-fetch';
 import {
+    MAILGUN_API_BASE_URL,
     MAILGUN_API_KEY,
     MAILGUN_FETCH_RETRY_DELAYS_MS,
+    MAILGUN_SENDING_DOMAIN,
     MAX_ATTACHMENT_SIZE_BYTES,
     MAX_ATTACHMENT_SIZE_MB,
-    XLSM_MIME_TYPES,
 } from './config.js';
 import { log } from './logger.js';
+import { verifyMailgunRequest } from './mailgun-signature.js';
+import { mailgunRetrievalRetriesTotal } from './metrics.js';
+import { extractMimeAttachments, parseMimeEntity } from './mime.js';
+import {
+    detectSpreadsheetFormat,
+    isGenericSpreadsheetMimeType,
+    isLegacyExcelFile,
+} from './spreadsheet.js';
+import { isZipArchiveFile } from './zip.js';
 
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
+// Zipped reports are accepted too; they are unpacked before parsing.
+// Legacy .xls files are let through so they fail with a clear message
+// instead of being ignored.
+const isSpreadsheetFile = (filename = "", mimetype = "") =>
+    Boolean(detectSpreadsheetFormat({ filename, mimetype })) ||
+    isGenericSpreadsheetMimeType(mimetype) ||
+    isLegacyExcelFile({ filename, mimetype }) ||
+    isZipArchiveFile({ filename, mimetype });
+
 export const isXLSMAttachment = (file = {}) => {
     const fieldName = (file.fieldname || "").toLowerCase();
-    const fileName = (file.originalname || "").toLowerCase();
-    const mimeType = (file.mimetype || "").toLowerCase();
     const isAttachmentField =
         fieldName === "file" || fieldName.startsWith("attachment-");
 
     return (
         isAttachmentField &&
-        (fileName.endsWith(".xlsm") || XLSM_MIME_TYPES.has(mimeType))
+        isSpreadsheetFile(file.originalname, file.mimetype)
     );
 };
 
@@ -49,162 +66,64 @@ export const parseMailgunAttachmentsField = (rawAttachments) => {
     }
 };
 
-export const extractXLSMMailgunAttachmentMeta = (req) => {
-    const attachments = parseMailgunAttachmentsField(req.body?.attachments);
-
-    return attachments.find((attachment = {}) => {
-        const fileName = String(attachment.name || "").toLowerCase();
-        const mimeType = String(
-            attachment["content-type"] || attachment.contentType || ""
-        ).toLowerCase();
-
-        return fileName.endsWith(".xlsm") || XLSM_MIME_TYPES.has(mimeType);
-    }) || null;
-};
-
-const decodeMimeHeaderValue = (value = "") =>
-    String(value)
-        .replace(/\r?\n[ \t]+/g, " ")
-        .trim()
-        .replace(/^"(.*)"$/, "$1");
-
-const parseMimeHeaders = (rawHeaders = "") =>
-    rawHeaders.split(/\r?\n/).reduce((headers, line) => {
-        if (!line.trim()) {
-            return headers;
-        }
-
-        const separatorIndex = line.indexOf(":");
-        if (separatorIndex === -1) {
-            return headers;
-        }
-
-        const key = line.slice(0, separatorIndex).trim().toLowerCase();
-        headers[key] = decodeMimeHeaderValue(line.slice(separatorIndex + 1));
-        return headers;
-    }, {});
-
-const splitMimeParts = (body = "", boundary = "") => {
-    if (!boundary) {
-        return [];
-    }
-
-    const normalizedBoundary = boundary.replace(/^"(.*)"$/, "$1");
-    return body
-        .split(`--${normalizedBoundary}`)
-        .slice(1)
-        .map((segment) =>
-            segment.replace(/^\r?\n/, "").replace(/\r?\n--\s*$/, "").trim()
+export const extractXLSMMailgunAttachmentMetas = (req) =>
+    parseMailgunAttachmentsField(req.body?.attachments).filter((attachment = {}) =>
+        isSpreadsheetFile(
+            attachment.name,
+            attachment["content-type"] || attachment.contentType
         )
-        .filter((segment) => segment && segment !== "--");
-};
-
-const parseMimePart = (rawPart = "") => {
-    const separator = rawPart.includes("\r\n\r\n") ? "\r\n\r\n" : "\n\n";
-    const separatorIndex = rawPart.indexOf(separator);
-
-    if (separatorIndex === -1) {
-        return { headers: {}, body: rawPart };
-    }
-
-    return {
-        headers: parseMimeHeaders(rawPart.slice(0, separatorIndex)),
-        body: rawPart.slice(separatorIndex + separator.length),
-    };
-};
-
-const extractBoundary = (contentType = "") => {
-    const match = /boundary="?([^";]+)"?/i.exec(contentType);
-    return match?.[1] || null;
-};
-
-const extractMimeFilename = (contentDisposition = "", contentType = "") => {
-    const dispositionMatch = /filename\*?="?([^";]+)"?/i.exec(contentDisposition);
-    if (dispositionMatch?.[1]) {
-        return dispositionMatch[1];
-    }
-
-    const typeMatch = /name="?([^";]+)"?/i.exec(contentType);
-    return typeMatch?.[1] || "";
-};
-
-const decodeMimeBody = (body = "", transferEncoding = "") => {
-    const normalizedEncoding = String(transferEncoding).toLowerCase();
-    if (normalizedEncoding === "base64") {
-        return Buffer.from(body.replace(/\r?\n/g, ""), "base64");
-    }
-    return Buffer.from(body, "utf8");
-};
-
-const extractXLSMBufferFromMime = (rawMime = "", attachmentMeta = {}) => {
-    const separator = rawMime.includes("\r\n\r\n") ? "\r\n\r\n" : "\n\n";
-    const separatorIndex = rawMime.indexOf(separator);
+    );
 
-    if (separatorIndex === -1) {
+const extractXLSMBuffersFromMime = (rawMime = "", attachmentMetas = []) => {
+    if (!/\r?\n\r?\n/.test(rawMime)) {
         const error = new Error("Stored Mailgun message did not include MIME headers");
         error.statusCode = 502;
         throw error;
     }
 
-    const rootHeaders = parseMimeHeaders(rawMime.slice(0, separatorIndex));
-    const rootBody = rawMime.slice(separatorIndex + separator.length);
-    const boundary = extractBoundary(rootHeaders["content-type"]);
-
-    if (!boundary) {
+    const message = parseMimeEntity(rawMime);
+    if (!message.contentType.startsWith("multipart/")) {
         const error = new Error("Stored Mailgun message was not multipart");
         error.statusCode = 502;
         throw error;
     }
 
-    const targetFileName = String(attachmentMeta.name || "").toLowerCase();
-    for (const rawPart of splitMimeParts(rootBody, boundary)) {
-        const { headers, body } = parseMimePart(rawPart);
-        const filename = extractMimeFilename(
-            headers["content-disposition"],
-            headers["content-type"]
-        ).toLowerCase();
-        const mimetype = String(headers["content-type"] || "")
-            .split(";")[0]
-            .trim()
-            .toLowerCase();
-
-        if (
-            filename === targetFileName ||
-            filename.endsWith(".xlsm") ||
-            XLSM_MIME_TYPES.has(mimetype)
-        ) {
-            const buffer = decodeMimeBody(
-                body,
-                headers["content-transfer-encoding"]
-            );
+    const targetFileNames = new Set(
+        attachmentMetas.map((meta = {}) => String(meta.name || "").toLowerCase())
+    );
+    const attachments = extractMimeAttachments(rawMime).filter(
+        (candidate) =>
+            targetFileNames.has(candidate.filename.toLowerCase()) ||
+            isSpreadsheetFile(candidate.filename, candidate.mimetype)
+    );
 
-            if (buffer.length > MAX_ATTACHMENT_SIZE_BYTES) {
-                const error = new Error(
-                    `Attachment too large. Max allowed size is ${MAX_ATTACHMENT_SIZE_MB}MB`
-                );
-                error.statusCode = 413;
-                throw error;
-            }
+    if (attachments.length === 0) {
+        const error = new Error(
+            "No shipment spreadsheet attachment found in stored Mailgun message"
+        );
+        error.statusCode = 502;
+        throw error;
+    }
 
-            return {
-                fieldname: "mailgun-message-url",
-                originalname:
-                    filename ||
-                    attachmentMeta.name ||
-                    "mailgun-attachment.xlsm",
-                mimetype:
-                    mimetype ||
-                    attachmentMeta["content-type"] ||
-                    "application/octet-stream",
-                size: buffer.length,
-                buffer,
-            };
-        }
+    if (attachments.some((attachment) => attachment.size > MAX_ATTACHMENT_SIZE_BYTES)) {
+        const error = new Error(
+            `Attachment too large. Max allowed size is ${MAX_ATTACHMENT_SIZE_MB}MB`
+        );
+        error.statusCode = 413;
+        throw error;
     }
 
-    const error = new Error("No .xlsm attachment found in stored Mailgun message");
-    error.statusCode = 502;
-    throw error;
+    return attachments.map((attachment, index) => ({
+        fieldname: "mailgun-message-url",
+        originalname:
+            attachment.filename ||
+            `mailgun-attachment-${index + 1}`,
+        mimetype:
+            attachment.mimetype ||
+            "application/octet-stream",
+        size: attachment.size,
+        buffer: attachment.buffer,
+    }));
 };
 
 const extractMailgunMessagePath = (messageUrl = "") => {
@@ -321,6 +240,7 @@ const fetchMailgunProtectedResourceWithRetry = async (resourceUrl) => {
             }
 
             const retryDelayMs = MAILGUN_FETCH_RETRY_DELAYS_MS[attempt];
+            mailgunRetrievalRetriesTotal.inc({ resource: "stored_message" });
             log("Mailgun protected resource not ready yet; retrying", {
                 event: "mailgun_resource_retry",
                 retry_delay_ms: retryDelayMs,
@@ -382,7 +302,7 @@ const fetchMailgunAttachmentByUrl = async (attachmentUrl, attachmentMeta = {}) =
 
     return {
         fieldname: "mailgun-attachment-url",
-        originalname: attachmentMeta.name || "mailgun-attachment.xlsm",
+        originalname: attachmentMeta.name || "mailgun-attachment",
         mimetype: attachmentMeta["content-type"] || "application/octet-stream",
         size: buffer.length,
         buffer,
@@ -416,6 +336,7 @@ const fetchMailgunAttachmentByUrlWithRetry = async (
             }
 
             const retryDelayMs = MAILGUN_FETCH_RETRY_DELAYS_MS[attempt];
+            mailgunRetrievalRetriesTotal.inc({ resource: "attachment" });
             log("Mailgun attachment not ready yet; retrying", {
                 event: "mailgun_attachment_retry",
                 retry_delay_ms: retryDelayMs,
@@ -428,7 +349,65 @@ const fetchMailgunAttachmentByUrlWithRetry = async (
     throw lastError || new Error("Failed to retrieve Mailgun attachment");
 };
 
-export const fetchMailgunAttachment = async (req, attachmentMeta) => {
+const buildMailgunMessageBody = ({ from, to, subject, text, attachments }) => {
+    const fields = {
+        from,
+        to: Array.isArray(to) ? to.join(", ") : to,
+        subject,
+        text,
+    };
+    if (attachments.length === 0) {
+        return new URLSearchParams(fields);
+    }
+
+    const form = new FormData();
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    attachments.forEach((attachment) => {
+        form.append(
+            "attachment",
+            new File([attachment.buffer], attachment.filename, {
+                type: attachment.mimetype || "application/octet-stream",
+            })
+        );
+    });
+    return form;
+};
+
+export const sendMailgunMessage = async ({
+    from,
+    to,
+    subject,
+    text,
+    attachments = [],
+}) => {
+    const response = await fetch(
+        `${MAILGUN_API_BASE_URL}/v3/${MAILGUN_SENDING_DOMAIN}/messages`,
+        {
+            method: "POST",
+            headers: { Authorization: mailgunAuthorizationHeader() },
+            body: buildMailgunMessageBody({ from, to, subject, text, attachments }),
+        }
+    );
+    const responseBody = await response.text();
+
+    if (!response.ok) {
+        const error = new Error(
+            `Failed to send Mailgun message (${response.status})`
+        );
+        error.statusCode = 502;
+        throw error;
+    }
+
+    try {
+        return JSON.parse(responseBody);
+    } catch (error) {
+        return { message: responseBody };
+    }
+};
+
+// Downloads every listed attachment directly when possible; if any download
+// fails, the stored message is fetched once and all spreadsheets come from it.
+export const fetchMailgunAttachments = async (req, attachmentMetas = []) => {
     if (!MAILGUN_API_KEY) {
         const error = new Error(
             "MAILGUN_API_KEY is required to download Mailgun-hosted attachments"
@@ -440,21 +419,31 @@ export const fetchMailgunAttachment = async (req, attachmentMeta) => {
     const rawMimeFromWebhook =
         req.body?.["body-mime"] || req.body?.mime || "";
     if (rawMimeFromWebhook) {
-        return extractXLSMBufferFromMime(rawMimeFromWebhook, attachmentMeta);
+        return extractXLSMBuffersFromMime(rawMimeFromWebhook, attachmentMetas);
+    }
+
+    const downloadedFiles = [];
+    for (const attachmentMeta of attachmentMetas) {
+        for (const attachmentUrl of buildMailgunAttachmentUrls(req, attachmentMeta)) {
+            try {
+                downloadedFiles.push(
+                    await fetchMailgunAttachmentByUrlWithRetry(
+                        attachmentUrl,
+                        attachmentMeta
+                    )
+                );
+                break;
+            } catch (error) {
+                log("Direct Mailgun attachment download failed; trying next retrieval option", {
+                    event: "mailgun_attachment_download_failed",
+                    error,
+                }, "warn");
+            }
+        }
     }
 
-    for (const attachmentUrl of buildMailgunAttachmentUrls(req, attachmentMeta)) {
-        try {
-            return await fetchMailgunAttachmentByUrlWithRetry(
-                attachmentUrl,
-                attachmentMeta
-            );
-        } catch (error) {
-            log("Direct Mailgun attachment download failed; trying next retrieval option", {
-                event: "mailgun_attachment_download_failed",
-                error,
-            }, "warn");
-        }
+    if (attachmentMetas.length > 0 && downloadedFiles.length === attachmentMetas.length) {
+        return downloadedFiles;
     }
 
     const messageUrls = buildMailgunMessageResourceUrls(req);
@@ -484,7 +473,7 @@ export const fetchMailgunAttachment = async (req, attachmentMeta) => {
         throw error;
     }
 
-    return extractXLSMBufferFromMime(rawMime, attachmentMeta);
+    return extractXLSMBuffersFromMime(rawMime, attachmentMetas);
 };
 
 export const upload = multer({
@@ -493,30 +482,34 @@ export const upload = multer({
         fileSize: MAX_ATTACHMENT_SIZE_BYTES,
         files: 20,
     },
+    // Callers without an API key are verified as Mailgun before the first
+    // spreadsheet part is buffered.
     fileFilter: (req, file, cb) => {
-        if (isXLSMAttachment(file)) {
+        if (!isXLSMAttachment(file)) {
+            return cb(null, false);
+        }
+        if (req.apiKeyAuthenticated) {
             return cb(null, true);
         }
-        cb(null, false);
+        verifyMailgunRequest(req).then(() => cb(null, true), cb);
     },
 });
 
-export const extractXLSMFileFromRequest = (req) => {
+export const extractXLSMFilesFromRequest = (req) => {
     const files = Array.isArray(req.files)
         ? req.files
         : (req.file ? [req.file] : []);
 
-    return (
-        files.find(
+    return [
+        ...files.filter(
             (file) =>
                 (file.fieldname || "").toLowerCase() === "file" &&
                 isXLSMAttachment(file)
-        ) ||
-        files.find(
+        ),
+        ...files.filter(
             (file) =>
                 (file.fieldname || "").toLowerCase().startsWith("attachment-") &&
                 isXLSMAttachment(file)
-        ) ||
-        null
-    );
+        ),
+    ];
 };
@@ -0,0 +1,204 @@
+import { readFileSync } from 'fs';
+import { MAPPING_PROFILES_FILE } from './config.js';
+
+// Fields every profile maps report columns onto; the shipment formatter only
+// reads these.
+export const SHIPMENT_FIELDS = [
+    "po_number",
+    "order_number",
+    "customer_number",
+    "carrier_code",
+    "shipment_method",
+    "tracking_number",
+    "carton_number",
+];
+
+const TRANSFORMS = {
+    trim: (value) => value.trim(),
+    uppercase: (value) => value.toUpperCase(),
+    lowercase: (value) => value.toLowerCase(),
+    digits_only: (value) => value.replace(/\D+/g, ""),
+    first_number: (value) =>
+        value.split(/[\/\s-]+/).find((part) => /^\d+$/.test(part))?.trim() || "",
+    before_dash: (value) => (value.split("-")[0] || "").trim(),
+    after_dash: (value) => (value.split("-")[1] || "").trim(),
+};
+
+const BUILT_IN_PROFILES = [
+    {
+        id: "cannon-hill",
+        name: "Cannon Hill",
+        header_marker: "Cust PO Number",
+        columns: {
+            po_number: ["Cust PO Number"],
+            order_number: ["Cust PO Number"],
+            customer_number: ["Customer Number"],
+            carrier_code: ["Shipped VIA"],
+            shipment_method: ["Shipped VIA"],
+            tracking_number: ["Tracking Number"],
+            carton_number: ["Carton Number"],
+        },
+        transforms: {
+            order_number: ["first_number"],
+            carrier_code: ["before_dash"],
+            shipment_method: ["after_dash"],
+        },
+        value_maps: {
+            shipment_method: {
+                G: "Ground",
+                "3RD": "3 Day Select",
+                "2ND": "2nd Day Air",
+            },
+        },
+    },
+];
+
+const normalizeHeader = (value) =>
+    String(value || "").toLowerCase().replace(/[^a-z0-9]+/g, "");
+
+const validateProfile = (profile, source) => {
+    const fail = (message) => {
+        throw new Error(`Invalid mapping profile ${profile?.id || "(no id)"} in ${source}: ${message}`);
+    };
+
+    if (!profile || typeof profile.id !== "string" || !profile.id.trim()) {
+        fail("id is required");
+    }
+    if (typeof profile.header_marker !== "string" || !normalizeHeader(profile.header_marker)) {
+        fail("header_marker is required");
+    }
+    Object.entries(profile.columns || {}).forEach(([field, aliases]) => {
+        if (!SHIPMENT_FIELDS.includes(field)) {
+            fail(`unknown field ${field}`);
+        }
+        if (!Array.isArray(aliases) || aliases.length === 0) {
+            fail(`columns.${field} must list at least one header`);
+        }
+    });
+    Object.entries(profile.transforms || {}).forEach(([field, names]) => {
+        (Array.isArray(names) ? names : [names]).forEach((name) => {
+            if (!TRANSFORMS[name]) {
+                fail(`unknown transform ${name} for ${field}`);
+            }
+        });
+    });
+
+    return {
+        id: profile.id.trim(),
+        name: profile.name || profile.id.trim(),
+        header_marker: profile.header_marker,
+        columns: profile.columns || {},
+        transforms: profile.transforms || {},
+        value_maps: profile.value_maps || {},
+    };
+};
+
+// Extra profiles come from MAPPING_PROFILES_FILE, a JSON array in the same
+// shape as the built-in ones; a profile with a built-in id replaces it.
+const loadMappingProfiles = () => {
+    const profiles = new Map(
+        BUILT_IN_PROFILES.map((profile) => [profile.id, validateProfile(profile, "built-in profiles")])
+    );
+    if (!MAPPING_PROFILES_FILE) {
+        return profiles;
+    }
+
+    const configured = JSON.parse(readFileSync(MAPPING_PROFILES_FILE, "utf8"));
+    if (!Array.isArray(configured)) {
+        throw new Error(`${MAPPING_PROFILES_FILE} must contain an array of mapping profiles`);
+    }
+    configured.forEach((profile) => {
+        const validated = validateProfile(profile, MAPPING_PROFILES_FILE);
+        profiles.set(validated.id, validated);
+    });
+    return profiles;
+};
+
+const mappingProfiles = loadMappingProfiles();
+
+export const listMappingProfiles = () =>
+    Array.from(mappingProfiles.values()).map(({ id, name, header_marker }) => ({
+        id,
+        name,
+        header_marker,
+    }));
+
+export const getMappingProfile = (profileId) =>
+    mappingProfiles.get(String(profileId || "").trim()) || null;
+
+const isProfileHeaderRow = (profile, row) => {
+    const marker = normalizeHeader(profile.header_marker);
+    return (
+        Array.isArray(row) &&
+        row.some((cell) => normalizeHeader(cell).includes(marker))
+    );
+};
+
+const countMatchedColumns = (profile, headerRow) => {
+    const headers = new Set(headerRow.map(normalizeHeader));
+    return Object.values(profile.columns).filter((aliases) =>
+        aliases.some((alias) => headers.has(normalizeHeader(alias)))
+    ).length;
+};
+
+// Finds the header row for the given profile, or for whichever profile fits
+// the report best when none is given.
+export const findProfileHeaderRow = (rawRows, profile = null) => {
+    const candidates = profile ? [profile] : Array.from(mappingProfiles.values());
+    let best = null;
+
+    candidates.forEach((candidate) => {
+        const headerRowIndex = rawRows.findIndex((row) => isProfileHeaderRow(candidate, row));
+        if (headerRowIndex === -1) {
+            return;
+        }
+
+        const matchedColumns = countMatchedColumns(candidate, rawRows[headerRowIndex]);
+        if (!best || matchedColumns > best.matchedColumns) {
+            best = { profile: candidate, headerRowIndex, matchedColumns };
+        }
+    });
+
+    return best;
+};
+
+export const headerMarkersDescription = (profile = null) =>
+    (profile ? [profile] : Array.from(mappingProfiles.values()))
+        .map((candidate) => `'${candidate.header_marker}'`)
+        .join(" or ");
+
+const applyTransforms = (profile, field, value) => {
+    const names = profile.transforms[field] || [];
+    const transformed = (Array.isArray(names) ? names : [names]).reduce(
+        (current, name) => TRANSFORMS[name](current),
+        String(value ?? "").trim()
+    );
+    const valueMap = profile.value_maps[field] || {};
+    return Object.hasOwn(valueMap, transformed) ? valueMap[transformed] : transformed;
+};
+
+// Returns a function turning a data row into an object keyed by
+// SHIPMENT_FIELDS, using the first alias of each field found in the header.
+// A header repeated in the report (the sample has two "Cust PO Number"
+// columns) maps to its last column, as reports have always been read.
+export const createRowMapper = (profile, headerRow) => {
+    const headerIndexes = new Map();
+    headerRow.forEach((cell, index) => {
+        headerIndexes.set(normalizeHeader(cell), index);
+    });
+
+    const fieldIndexes = SHIPMENT_FIELDS.map((field) => {
+        const alias = (profile.columns[field] || []).find((candidate) =>
+            headerIndexes.has(normalizeHeader(candidate))
+        );
+        return [field, alias === undefined ? -1 : headerIndexes.get(normalizeHeader(alias))];
+    });
+
+    return (row) =>
+        Object.fromEntries(
+            fieldIndexes.map(([field, index]) => [
+                field,
+                index === -1 ? "" : applyTransforms(profile, field, row[index]),
+            ])
+        );
+};
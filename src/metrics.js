@@ -0,0 +1,145 @@
+const DEFAULT_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const registry = new Map();
+
+const escapeLabelValue = (value) =>
+    String(value ?? "")
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return "";
+    }
+    return `{${entries
+        .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`)
+        .join(",")}}`;
+};
+
+const pickLabels = (labelNames, labels = {}) =>
+    Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? ""]));
+
+const labelKey = (labels) => JSON.stringify(labels);
+
+const registerMetric = (metric) => {
+    registry.set(metric.name, metric);
+    return metric;
+};
+
+export const createCounter = (name, help, labelNames = []) => {
+    const series = new Map();
+
+    return registerMetric({
+        name,
+        inc(labels = {}, value = 1) {
+            const picked = pickLabels(labelNames, labels);
+            const key = labelKey(picked);
+            const current = series.get(key) || { labels: picked, value: 0 };
+            current.value += value;
+            series.set(key, current);
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            series.forEach(({ labels, value }) => {
+                lines.push(`${name}${formatLabels(labels)} ${value}`);
+            });
+            return lines;
+        },
+    });
+};
+
+export const createHistogram = (
+    name,
+    help,
+    labelNames = [],
+    buckets = DEFAULT_DURATION_BUCKETS
+) => {
+    const series = new Map();
+
+    return registerMetric({
+        name,
+        observe(labels = {}, value = 0) {
+            const picked = pickLabels(labelNames, labels);
+            const key = labelKey(picked);
+            const current = series.get(key) || {
+                labels: picked,
+                bucketCounts: buckets.map(() => 0),
+                sum: 0,
+                count: 0,
+            };
+            buckets.forEach((bound, index) => {
+                if (value <= bound) {
+                    current.bucketCounts[index] += 1;
+                }
+            });
+            current.sum += value;
+            current.count += 1;
+            series.set(key, current);
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            series.forEach(({ labels, bucketCounts, sum, count }) => {
+                buckets.forEach((bound, index) => {
+                    lines.push(
+                        `${name}_bucket${formatLabels({ ...labels, le: bound })} ${bucketCounts[index]}`
+                    );
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            });
+            return lines;
+        },
+    });
+};
+
+export const renderMetrics = () =>
+    `${Array.from(registry.values())
+        .flatMap((metric) => metric.render())
+        .join("\n")}\n`;
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+export const filesReceivedTotal = createCounter(
+    "shipment_files_received_total",
+    "Shipment report files received, by intake source and format.",
+    ["source", "format"]
+);
+
+export const spreadsheetRowsTotal = createCounter(
+    "spreadsheet_rows_total",
+    "Spreadsheet rows processed, by outcome and diagnostic code.",
+    ["outcome", "code"]
+);
+
+export const downstreamSubmitDurationSeconds = createHistogram(
+    "downstream_submit_duration_seconds",
+    "Latency of each downstream submit attempt, by outcome.",
+    ["outcome"]
+);
+
+export const downstreamSubmitAttemptsTotal = createCounter(
+    "downstream_submit_attempts_total",
+    "Downstream submit attempts, by outcome.",
+    ["outcome"]
+);
+
+export const mailgunRetrievalRetriesTotal = createCounter(
+    "mailgun_retrieval_retries_total",
+    "Retries while retrieving stored Mailgun messages and attachments.",
+    ["resource"]
+);
+
+export const httpRequestDurationSeconds = createHistogram(
+    "http_request_duration_seconds",
+    "HTTP request durations, by method, route and status code.",
+    ["method", "route", "status_code"]
+);
+
+export const outputSinkDeliveriesTotal = createCounter(
+    "output_sink_deliveries_total",
+    "Shipment deliveries to configured output sinks, by sink and outcome.",
+    ["sink", "outcome"]
+);
@@ -0,0 +1,274 @@
+// Minimal RFC 2822 / MIME reader for stored Mailgun messages. It walks nested
+// multipart and message/rfc822 parts and decodes transfer encodings, RFC 2047
+// encoded words and RFC 2231 parameters, which is all attachment lookup needs.
+
+const MAX_MIME_DEPTH = 20;
+
+const decodeCharset = (buffer, charset = "utf-8") => {
+    try {
+        return new TextDecoder(charset.trim().toLowerCase() || "utf-8").decode(buffer);
+    } catch (error) {
+        return buffer.toString("utf8");
+    }
+};
+
+const decodeQuotedPrintableBytes = (value = "", { underscoreAsSpace = false } = {}) => {
+    const text = value.replace(/=\r?\n/g, "");
+    const bytes = [];
+
+    for (let index = 0; index < text.length; index += 1) {
+        const char = text[index];
+        const hex = text.slice(index + 1, index + 3);
+        if (char === "=" && /^[0-9a-f]{2}$/i.test(hex)) {
+            bytes.push(Number.parseInt(hex, 16));
+            index += 2;
+        } else if (underscoreAsSpace && char === "_") {
+            bytes.push(0x20);
+        } else {
+            bytes.push(...Buffer.from(char, "utf8"));
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+// RFC 2047: =?charset?B|Q?text?= ; whitespace between adjacent words is dropped.
+export const decodeEncodedWords = (value = "") =>
+    String(value)
+        .replace(/(=\?[^?]+\?[bq]\?[^?]*\?=)\s+(?==\?[^?]+\?[bq]\?[^?]*\?=)/gi, "$1")
+        .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([bq])\?([^?]*)\?=/gi, (match, charset, encoding, text) => {
+            const bytes =
+                encoding.toLowerCase() === "b"
+                    ? Buffer.from(text, "base64")
+                    : decodeQuotedPrintableBytes(text, { underscoreAsSpace: true });
+            return decodeCharset(bytes, charset);
+        });
+
+const unfoldHeaders = (rawHeaders = "") =>
+    rawHeaders.replace(/\r?\n[ \t]+/g, " ");
+
+export const parseHeaders = (rawHeaders = "") =>
+    unfoldHeaders(rawHeaders)
+        .split(/\r?\n/)
+        .reduce((headers, line) => {
+            const separatorIndex = line.indexOf(":");
+            if (separatorIndex <= 0) {
+                return headers;
+            }
+
+            const key = line.slice(0, separatorIndex).trim().toLowerCase();
+            if (!(key in headers)) {
+                headers[key] = line.slice(separatorIndex + 1).trim();
+            }
+            return headers;
+        }, {});
+
+const splitParameterSegments = (value = "") => {
+    const segments = [];
+    let current = "";
+    let inQuotes = false;
+
+    for (let index = 0; index < value.length; index += 1) {
+        const char = value[index];
+        if (char === "\\" && inQuotes) {
+            current += value[index + 1] || "";
+            index += 1;
+        } else if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (char === ";" && !inQuotes) {
+            segments.push(current);
+            current = "";
+        } else {
+            current += char;
+        }
+    }
+    segments.push(current);
+    return segments.map((segment) => segment.trim()).filter(Boolean);
+};
+
+const decodeExtendedValue = (value, charset) => {
+    try {
+        const bytes = Buffer.from(
+            value.replace(/%([0-9a-f]{2})/gi, (match, hex) =>
+                String.fromCharCode(Number.parseInt(hex, 16))
+            ),
+            "latin1"
+        );
+        return decodeCharset(bytes, charset || "utf-8");
+    } catch (error) {
+        return value;
+    }
+};
+
+// Parses `type/subtype; a=b; c*=UTF-8''x; d*0=..; d*1=..` into its value and
+// parameters, joining RFC 2231 continuations and decoding extended values.
+export const parseHeaderValue = (headerValue = "") => {
+    const [rawValue = "", ...rawParameters] = splitParameterSegments(String(headerValue));
+    const continuations = {};
+    const parameters = {};
+
+    rawParameters.forEach((segment) => {
+        const separatorIndex = segment.indexOf("=");
+        if (separatorIndex === -1) {
+            return;
+        }
+
+        const rawName = segment.slice(0, separatorIndex).trim().toLowerCase();
+        const value = segment.slice(separatorIndex + 1).trim();
+        const match = /^([^*]+)(?:\*(\d+))?(\*)?$/.exec(rawName);
+        if (!match) {
+            return;
+        }
+
+        const [, name, sectionIndex, extended] = match;
+        continuations[name] = continuations[name] || [];
+        continuations[name].push({
+            index: sectionIndex === undefined ? 0 : Number(sectionIndex),
+            extended: Boolean(extended),
+            value,
+        });
+    });
+
+    Object.entries(continuations).forEach(([name, sections]) => {
+        sections.sort((left, right) => left.index - right.index);
+        let charset = null;
+        parameters[name] = sections
+            .map((section, position) => {
+                if (!section.extended) {
+                    return decodeEncodedWords(section.value);
+                }
+
+                let value = section.value;
+                if (position === 0) {
+                    const extendedMatch = /^([^']*)'[^']*'(.*)$/.exec(value);
+                    if (extendedMatch) {
+                        charset = extendedMatch[1];
+                        value = extendedMatch[2];
+                    }
+                }
+                return decodeExtendedValue(value, charset);
+            })
+            .join("");
+    });
+
+    return { value: rawValue.trim().toLowerCase(), parameters };
+};
+
+export const decodeTransferEncoding = (body = "", transferEncoding = "") => {
+    const encoding = String(transferEncoding).trim().toLowerCase();
+    if (encoding === "base64") {
+        return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ""), "base64");
+    }
+    if (encoding === "quoted-printable") {
+        return decodeQuotedPrintableBytes(body);
+    }
+    return Buffer.from(body, "utf8");
+};
+
+const splitHeadersAndBody = (raw = "") => {
+    if (/^\r?\n/.test(raw)) {
+        return { rawHeaders: "", body: raw.replace(/^\r?\n/, "") };
+    }
+
+    const match = /\r?\n\r?\n/.exec(raw);
+    if (!match) {
+        return { rawHeaders: raw, body: "" };
+    }
+    return {
+        rawHeaders: raw.slice(0, match.index),
+        body: raw.slice(match.index + match[0].length),
+    };
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const splitMultipartBody = (body = "", boundary = "") => {
+    const delimiter = new RegExp(
+        `(?:^|\\r?\\n)--${escapeRegExp(boundary)}(--)?[ \\t]*(?=\\r?\\n|$)`,
+        "g"
+    );
+    const parts = [];
+    let partStart = null;
+    let match = delimiter.exec(body);
+
+    while (match) {
+        if (partStart !== null) {
+            parts.push(body.slice(partStart, match.index));
+        }
+        if (match[1]) {
+            break;
+        }
+        partStart = match.index + match[0].length;
+        partStart += /^\r?\n/.exec(body.slice(partStart))?.[0].length || 0;
+        match = delimiter.exec(body);
+    }
+
+    return parts;
+};
+
+// Parses a raw message or entity into a tree of
+// { headers, contentType, disposition, filename, children, body }.
+export const parseMimeEntity = (raw = "", depth = 0) => {
+    const { rawHeaders, body } = splitHeadersAndBody(raw);
+    const headers = parseHeaders(rawHeaders);
+    const contentType = parseHeaderValue(headers["content-type"] || "text/plain");
+    const disposition = parseHeaderValue(headers["content-disposition"] || "");
+    const filename =
+        disposition.parameters.filename || contentType.parameters.name || "";
+    const entity = {
+        headers,
+        contentType: contentType.value,
+        disposition: disposition.value,
+        filename,
+        children: [],
+        body,
+    };
+
+    if (depth >= MAX_MIME_DEPTH) {
+        return entity;
+    }
+
+    if (contentType.value.startsWith("multipart/") && contentType.parameters.boundary) {
+        entity.children = splitMultipartBody(body, contentType.parameters.boundary)
+            .map((part) => parseMimeEntity(part, depth + 1));
+        entity.body = "";
+    } else if (contentType.value === "message/rfc822") {
+        // Forwarded emails are often attached as "Fwd.eml"; the report is
+        // inside, so the nested message is walked whether or not it is named.
+        const decoded = decodeTransferEncoding(
+            body,
+            headers["content-transfer-encoding"]
+        ).toString("utf8");
+        entity.children = [parseMimeEntity(decoded, depth + 1)];
+        entity.body = "";
+    }
+
+    return entity;
+};
+
+const collectAttachments = (entity, attachments) => {
+    if (entity.children.length > 0) {
+        entity.children.forEach((child) => collectAttachments(child, attachments));
+        return attachments;
+    }
+
+    if (entity.filename || entity.disposition === "attachment") {
+        const buffer = decodeTransferEncoding(
+            entity.body,
+            entity.headers["content-transfer-encoding"]
+        );
+        attachments.push({
+            filename: entity.filename,
+            mimetype: entity.contentType,
+            disposition: entity.disposition || null,
+            size: buffer.length,
+            buffer,
+        });
+    }
+    return attachments;
+};
+
+// Every attachment-like leaf part of the message, depth first, with decoded
+// filename and body.
+export const extractMimeAttachments = (rawMime = "") =>
+    collectAttachments(parseMimeEntity(String(rawMime)), []);
@@ -0,0 +1,157 @@
+import { promises as fs } from 'fs';
+import {
+    MAILGUN_API_KEY,
+    MAILGUN_SENDING_DOMAIN,
+    NOTIFY_ATTACH_ANNOTATED_WORKBOOK,
+    NOTIFY_FROM,
+    NOTIFY_ORIGINAL_SENDER,
+    NOTIFY_RECIPIENTS,
+    NOTIFY_SUBJECT_TEMPLATE,
+    NOTIFY_TEXT_TEMPLATE_FILE,
+} from './config.js';
+import { log } from './logger.js';
+import { sendMailgunMessage } from './mailgun.js';
+
+const DEFAULT_TEXT_TEMPLATE = `Shipment report: {{filename}}
+Status: {{status}}
+{{message}}
+
+Summary
+{{summary}}
+
+Files
+{{files}}
+
+Row diagnostics
+{{diagnostics}}
+
+Request ID: {{request_id}}
+`;
+
+export const renderTemplate = (template = "", values = {}) =>
+    String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+        values[key] === undefined || values[key] === null ? "" : String(values[key])
+    );
+
+const loadTextTemplate = async () => {
+    if (!NOTIFY_TEXT_TEMPLATE_FILE) {
+        return DEFAULT_TEXT_TEMPLATE;
+    }
+    return fs.readFile(NOTIFY_TEXT_TEMPLATE_FILE, "utf8");
+};
+
+const extractAddress = (value = "") =>
+    /<([^>]+)>/.exec(String(value))?.[1]?.trim() || String(value).trim();
+
+const formatSummary = (summary) =>
+    summary
+        ? Object.entries(summary)
+            .map(([key, value]) =>
+                `  ${key}: ${Array.isArray(value) ? value.join(", ") || "-" : value}`
+            )
+            .join("\n")
+        : "  (not available)";
+
+const formatDiagnostics = (diagnostics = [], summary = null) => {
+    if (diagnostics.length === 0) {
+        return "  None";
+    }
+
+    const lines = diagnostics.map((diagnostic) =>
+        `  Row ${diagnostic.row_number ?? "-"}: ${diagnostic.code} - ${diagnostic.message}`
+    );
+    if (summary?.diagnostics_omitted > 0) {
+        lines.push(`  ...and ${summary.diagnostics_omitted} more`);
+    }
+    return lines.join("\n");
+};
+
+const formatFiles = (files = []) =>
+    files.length > 0
+        ? files
+            .map((file) =>
+                `  ${file.filename}: ${file.status}` +
+                (file.error
+                    ? ` - ${file.error}`
+                    : ` (${file.summary.rows_accepted} of ${file.summary.spreadsheet_rows} rows accepted)`)
+            )
+            .join("\n")
+        : "  (not available)";
+
+export const buildNotificationValues = ({ requestId, filename, result, error }) => {
+    const summary = result?.summary || error?.details?.summary || null;
+    const diagnostics = result?.diagnostics || error?.details?.diagnostics || [];
+    const files = result?.files || error?.details?.files || [];
+
+    return {
+        status: result ? result.status : "failed",
+        message: result?.message || error?.message || "",
+        filename: filename || "attachment",
+        request_id: requestId,
+        summary: formatSummary(summary),
+        files: formatFiles(files),
+        file_count: files.length,
+        diagnostics: formatDiagnostics(diagnostics, summary),
+        shipments_accepted: summary?.shipments_accepted ?? "",
+        rows_rejected: summary?.rows_rejected ?? "",
+        diagnostics_count: diagnostics.length,
+    };
+};
+
+const notificationRecipients = (context = {}) => {
+    const recipients = new Set(NOTIFY_RECIPIENTS);
+    const originalSender = extractAddress(context.sender || context.from || "");
+    if (NOTIFY_ORIGINAL_SENDER && originalSender) {
+        recipients.add(originalSender);
+    }
+    return Array.from(recipients);
+};
+
+// Emails the processing outcome to the configured recipients and, when
+// enabled, to whoever sent the report. Failures are logged, never thrown, so a
+// mail problem cannot fail a job that already submitted its shipments.
+export const notifyProcessingResult = async ({
+    requestId = null,
+    filename = null,
+    context = {},
+    result = null,
+    error = null,
+    annotatedWorkbooks = [],
+}) => {
+    const recipients = notificationRecipients(context || {});
+    if (
+        recipients.length === 0 ||
+        !MAILGUN_API_KEY ||
+        !MAILGUN_SENDING_DOMAIN ||
+        !NOTIFY_FROM
+    ) {
+        return null;
+    }
+
+    try {
+        const values = buildNotificationValues({ requestId, filename, result, error });
+        const response = await sendMailgunMessage({
+            from: NOTIFY_FROM,
+            to: recipients,
+            subject: renderTemplate(NOTIFY_SUBJECT_TEMPLATE, values),
+            text: renderTemplate(await loadTextTemplate(), values),
+            attachments:
+                NOTIFY_ATTACH_ANNOTATED_WORKBOOK ? annotatedWorkbooks : [],
+        });
+
+        log("Processing result notification sent", {
+            event: "processing_notification_sent",
+            request_id: requestId,
+            recipient_count: recipients.length,
+            status: values.status,
+        });
+        return response;
+    } catch (notificationError) {
+        log("Processing result notification failed", {
+            event: "processing_notification_failed",
+            request_id: requestId,
+            error: notificationError,
+        }, "error");
+        return null;
+    }
+};
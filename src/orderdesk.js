@@ -0,0 +1,164 @@
+import { readFileSync } from 'fs';
+import fetch from 'node-fetch';
+import {
+    ORDERDESK_API_BASE_URL,
+    ORDERDESK_CREDENTIALS_FILE,
+} from './config.js';
+import { log } from './logger.js';
+
+// ORDERDESK_CREDENTIALS_FILE maps each OrderDesk store ID to its API key:
+// { "14077": "<api key>" }.
+const loadStoreCredentials = () => {
+    if (!ORDERDESK_CREDENTIALS_FILE) {
+        return {};
+    }
+
+    const credentials = JSON.parse(readFileSync(ORDERDESK_CREDENTIALS_FILE, "utf8"));
+    if (
+        !credentials ||
+        typeof credentials !== "object" ||
+        Array.isArray(credentials) ||
+        !Object.values(credentials).every((apiKey) => typeof apiKey === "string" && apiKey)
+    ) {
+        throw new Error(
+            `${ORDERDESK_CREDENTIALS_FILE} must map OrderDesk store IDs to API keys`
+        );
+    }
+    return credentials;
+};
+
+const storeCredentials = loadStoreCredentials();
+
+// source_id is "<store id>-<order source id>", as built by formatCannonHillData.
+const splitSourceId = (sourceId = "") => {
+    const separatorIndex = sourceId.indexOf("-");
+    return {
+        storeId: sourceId.slice(0, separatorIndex),
+        orderSourceId: sourceId.slice(separatorIndex + 1),
+    };
+};
+
+const orderDeskRequest = async (storeId, pathname, { method = "GET", body } = {}) => {
+    const response = await fetch(`${ORDERDESK_API_BASE_URL}${pathname}`, {
+        method,
+        headers: {
+            "ORDERDESK-STORE-ID": storeId,
+            "ORDERDESK-API-KEY": storeCredentials[storeId],
+            "Content-Type": "application/json",
+        },
+        ...(body ? { body: JSON.stringify(body) } : {}),
+    });
+
+    let jsonResponse = {};
+    try {
+        jsonResponse = JSON.parse(await response.text());
+    } catch (error) {
+        // Error pages are not JSON; the status code is reported instead.
+    }
+
+    if (!response.ok || jsonResponse.status === "error") {
+        const error = new Error(
+            jsonResponse.message ||
+                `OrderDesk request failed with status ${response.status}`
+        );
+        error.downstreamStatus = response.status;
+        error.retryable = response.status === 429 || response.status >= 500;
+        throw error;
+    }
+    return jsonResponse;
+};
+
+const orderResult = (shipment, status, message, extra = {}) => ({
+    source_id: shipment.source_id,
+    status,
+    message,
+    ...extra,
+});
+
+// Adds every tracking number the order does not have yet, so retrying a
+// chunk or replaying a dead letter never duplicates shipments.
+const submitOrderShipments = async (shipment) => {
+    const { storeId, orderSourceId } = splitSourceId(shipment.source_id);
+    if (!storeCredentials[storeId]) {
+        return orderResult(
+            shipment,
+            "error",
+            `No OrderDesk credentials configured for store ${storeId}`
+        );
+    }
+
+    try {
+        const { orders = [] } = await orderDeskRequest(
+            storeId,
+            `/orders?source_id=${encodeURIComponent(orderSourceId)}`
+        );
+        const order = orders[0];
+        if (!order) {
+            return orderResult(shipment, "error", "Order not found in OrderDesk");
+        }
+
+        const recordedTrackingNumbers = new Set(
+            (order.shipments || []).map((existing) => existing.tracking_number)
+        );
+        const trackingNumbersToAdd = (shipment.tracking_numbers || [shipment.tracking_number])
+            .filter((trackingNumber) =>
+                trackingNumber && !recordedTrackingNumbers.has(trackingNumber)
+            );
+
+        for (const trackingNumber of trackingNumbersToAdd) {
+            await orderDeskRequest(storeId, `/orders/${encodeURIComponent(order.id)}/shipments`, {
+                method: "POST",
+                body: {
+                    tracking_number: trackingNumber,
+                    carrier_code: shipment.carrier_code,
+                    shipment_method: shipment.shipment_method,
+                },
+            });
+        }
+
+        return orderResult(
+            shipment,
+            "success",
+            trackingNumbersToAdd.length > 0
+                ? `${trackingNumbersToAdd.length} shipment(s) added`
+                : "Shipments were already recorded on the order",
+            { order_id: order.id, tracking_numbers_added: trackingNumbersToAdd }
+        );
+    } catch (error) {
+        if (error.retryable || !error.downstreamStatus) {
+            throw error;
+        }
+        return orderResult(shipment, "error", error.message);
+    }
+};
+
+// Submits one chunk straight to the OrderDesk API. Rate limits, server and
+// network errors throw so the caller retries the chunk; anything else is
+// reported on the affected order only.
+export const submitToOrderDesk = async (shipments, { requestId = null } = {}) => {
+    const startedAt = Date.now();
+    const results = [];
+    for (const shipment of shipments) {
+        results.push(await submitOrderShipments(shipment));
+    }
+
+    const failedSourceIds = results
+        .filter((result) => result.status !== "success")
+        .map((result) => result.source_id);
+    if (failedSourceIds.length > 0) {
+        log("OrderDesk rejected some orders", {
+            event: "orderdesk_orders_rejected",
+            request_id: requestId,
+            failed_source_ids: failedSourceIds,
+        }, "warn");
+    }
+
+    return {
+        status: "success",
+        message: `${results.length - failedSourceIds.length} of ${results.length} orders updated in OrderDesk`,
+        execution_time: `${((Date.now() - startedAt) / 1000).toFixed(2)}s`,
+        results,
+        failed_source_ids: failedSourceIds,
+        downstream_status_code: 200,
+    };
+};
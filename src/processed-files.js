@@ -0,0 +1,106 @@
+import { createHash } from 'crypto';
+import {
+    DUPLICATE_FILE_WINDOW_HOURS,
+    PROCESSED_FILES_FILE,
+    SUBMIT_ROUTE,
+    SUBMITTER,
+} from './config.js';
+import { createJsonFileStore } from './json-store.js';
+import { log } from './logger.js';
+
+const processedFilesFile = createJsonFileStore(PROCESSED_FILES_FILE, { uploads: {} });
+
+// Runs ending in one of these are remembered; failed and partly failed runs
+// are not, so sending the same file again retries what went wrong.
+const REMEMBERED_STATUSES = new Set(["success", "queued", "already_submitted"]);
+
+// A run that crashed never settles its reservation, so one older than this
+// stops blocking identical files.
+const RESERVATION_TTL_MS = 30 * 60 * 1000;
+
+const windowMs = () => DUPLICATE_FILE_WINDOW_HOURS * 60 * 60 * 1000;
+
+export const fileContentHash = (buffer) =>
+    createHash("sha256").update(buffer || "").digest("hex");
+
+// The same files only count as a duplicate for the same caller, recipient
+// route, mapping profile and submit route, since any of them can change what
+// the files turn into or where they go.
+export const uploadFingerprint = (
+    req,
+    files,
+    { profileId = null, submitRoute = null } = {}
+) => {
+    const fileHashes = files.map((file) => fileContentHash(file.buffer)).sort();
+    const effectiveSubmitRoute =
+        SUBMITTER === "orderdesk" ? "orderdesk" : submitRoute || SUBMIT_ROUTE;
+    return {
+        key: createHash("sha256")
+            .update(JSON.stringify([
+                req.client?.id || null,
+                req.client?.recipient_route || null,
+                profileId,
+                effectiveSubmitRoute,
+                fileHashes,
+            ]))
+            .digest("hex"),
+        fileHashes,
+    };
+};
+
+const isExpired = (entry) =>
+    entry.state === "processing"
+        ? Date.parse(entry.reserved_at) < Date.now() - RESERVATION_TTL_MS
+        : Date.parse(entry.processed_at) < Date.now() - windowMs();
+
+const pruneUploads = (store) => {
+    store.uploads = store.uploads || {};
+    Object.entries(store.uploads).forEach(([uploadKey, entry]) => {
+        if (isExpired(entry)) {
+            delete store.uploads[uploadKey];
+        }
+    });
+};
+
+// Returns the earlier run of the same files (finished, or still processing),
+// or reserves the fingerprint for this run in the same update, so two
+// identical uploads arriving together cannot both be processed. A job re-run
+// after a restart takes its own reservation back.
+export const claimProcessedUpload = (key, requestId = null) =>
+    processedFilesFile.update((store) => {
+        pruneUploads(store);
+        const entry = store.uploads[key];
+        if (entry && !(entry.state === "processing" && entry.request_id === requestId)) {
+            return entry;
+        }
+
+        store.uploads[key] = {
+            state: "processing",
+            request_id: requestId,
+            reserved_at: new Date().toISOString(),
+        };
+        return null;
+    });
+
+// Keeps a remembered result for later duplicates; otherwise (a failed run has
+// no result) frees this run's reservation so the files can be sent again.
+export const settleProcessedUpload = (key, result, requestId = null) =>
+    processedFilesFile.update((store) => {
+        pruneUploads(store);
+        const entry = store.uploads[key];
+        if (REMEMBERED_STATUSES.has(result?.status)) {
+            store.uploads[key] = {
+                request_id: requestId,
+                processed_at: new Date().toISOString(),
+                result,
+            };
+        } else if (entry?.state === "processing" && entry.request_id === requestId) {
+            delete store.uploads[key];
+        }
+    }).catch((error) => {
+        log("Processed file fingerprint could not be saved", {
+            event: "processed_file_fingerprint_failed",
+            request_id: requestId,
+            error,
+        }, "error");
+    });
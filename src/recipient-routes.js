@@ -0,0 +1,110 @@
+import { readFileSync } from 'fs';
+import { RECIPIENT_ROUTES_FILE } from './config.js';
+import { getMappingProfile } from './mapping-profiles.js';
+
+const ALL_STORES = "*";
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "hero-shipping@" matches that mailbox on any domain, "*" is a wildcard and
+// anything else must match the whole address. Matching ignores case.
+const compileRecipientPattern = (pattern) => {
+    const normalized = String(pattern || "").trim().toLowerCase();
+    const source = normalized.endsWith("@")
+        ? `${escapeRegExp(normalized)}.+`
+        : normalized.split("*").map(escapeRegExp).join(".*");
+    return new RegExp(`^${source}$`);
+};
+
+const validateRoute = (route, index) => {
+    const fail = (message) => {
+        throw new Error(
+            `Invalid recipient route ${route?.id || `#${index + 1}`} in ${RECIPIENT_ROUTES_FILE}: ${message}`
+        );
+    };
+
+    if (!route || typeof route.id !== "string" || !route.id.trim()) {
+        fail("id is required");
+    }
+    if (
+        !Array.isArray(route.recipients) ||
+        route.recipients.length === 0 ||
+        !route.recipients.every((pattern) => typeof pattern === "string" && pattern.trim())
+    ) {
+        fail("recipients must list at least one address or pattern");
+    }
+    if (route.profile && !getMappingProfile(route.profile)) {
+        fail(`unknown mapping profile ${route.profile}`);
+    }
+    if (
+        route.allowed_stores !== undefined &&
+        route.allowed_stores !== null &&
+        (!Array.isArray(route.allowed_stores) ||
+            !route.allowed_stores.every((storeId) =>
+                storeId === ALL_STORES || /^\d+$/.test(String(storeId))
+            ))
+    ) {
+        fail('allowed_stores must list OrderDesk store IDs or "*"');
+    }
+    if (route.submit_route) {
+        try {
+            if (!/^https?:$/.test(new URL(route.submit_route).protocol)) {
+                throw new Error("unsupported protocol");
+            }
+        } catch (error) {
+            fail("submit_route must be an http(s) URL");
+        }
+    }
+
+    return {
+        id: route.id.trim(),
+        recipients: route.recipients.map((pattern) => pattern.trim()),
+        patterns: route.recipients.map(compileRecipientPattern),
+        profile: route.profile || null,
+        allowed_stores: route.allowed_stores
+            ? route.allowed_stores.map((storeId) => String(storeId))
+            : null,
+        submit_route: route.submit_route || null,
+    };
+};
+
+const loadRecipientRoutes = () => {
+    if (!RECIPIENT_ROUTES_FILE) {
+        return [];
+    }
+
+    const configured = JSON.parse(readFileSync(RECIPIENT_ROUTES_FILE, "utf8"));
+    if (!Array.isArray(configured)) {
+        throw new Error(`${RECIPIENT_ROUTES_FILE} must contain an array of recipient routes`);
+    }
+    return configured.map(validateRoute);
+};
+
+const recipientRoutes = loadRecipientRoutes();
+
+export const isRecipientRoutingEnabled = () => recipientRoutes.length > 0;
+
+const extractAddresses = (recipientField = "") =>
+    String(recipientField || "")
+        .split(",")
+        .map((entry) => (/<([^>]+)>/.exec(entry)?.[1] || entry).trim().toLowerCase())
+        .filter(Boolean);
+
+// Routes are checked in file order; the first one matching any recipient wins.
+export const findRecipientRoute = (recipientField) => {
+    const addresses = extractAddresses(recipientField);
+    return (
+        recipientRoutes.find((route) =>
+            route.patterns.some((pattern) =>
+                addresses.some((address) => pattern.test(address))
+            )
+        ) || null
+    );
+};
+
+export const routedMailgunClient = (client, route) => ({
+    ...client,
+    name: `${client.name} (${route.id})`,
+    allowed_stores: route.allowed_stores,
+    recipient_route: route.id,
+});
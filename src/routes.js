@@ -1,24 +1,119 @@
 import { Router } from 'express';
 import multer from 'multer';
+import {
+    authenticateApiKeyCaller,
+    clientSummary,
+    requireShipmentCaller,
+} from './auth.js';
+import { sendFileDownload } from './http.js';
 import { MAX_ATTACHMENT_SIZE_MB } from './config.js';
 import { log } from './logger.js';
+import { rejectMailgunRequest } from './mailgun-signature.js';
 import {
-    extractXLSMFileFromRequest,
-    extractXLSMMailgunAttachmentMeta,
-    fetchMailgunAttachment,
+    extractXLSMFilesFromRequest,
+    extractXLSMMailgunAttachmentMetas,
+    fetchMailgunAttachments,
     parseMailgunAttachmentsField,
     upload,
 } from './mailgun.js';
-import { processShipmentFile } from './shipment-service.js';
+import { enqueueShipmentJob } from './jobs.js';
+import {
+    findRecipientRoute,
+    isRecipientRoutingEnabled,
+    routedMailgunClient,
+} from './recipient-routes.js';
+import { processShipmentFiles } from './shipment-service.js';
+import { resolveMappingProfile } from './spreadsheet.js';
 
 export const shipmentRouter = Router();
 
-shipmentRouter.post(['/', '/mime', '/raw-mime'], (req, res, next) => {
+const wantsAnnotatedWorkbook = (req) =>
+    ["1", "true", "yes"].includes(
+        String(req.query?.annotated_workbook || "").trim().toLowerCase()
+    );
+
+// Dry runs answer with JSON, or with an annotated workbook itself when
+// ?annotated_workbook=true so ops can fix rows before sending the report;
+// ?file=<index> picks the attachment when several were processed.
+const respondWithDryRun = (req, res, processingResponse) => {
+    const fileIndex = Number.parseInt(req.query?.file || "0", 10);
+    const annotatedWorkbook = processingResponse.annotatedWorkbooks?.[fileIndex];
+    if (!wantsAnnotatedWorkbook(req) || !annotatedWorkbook) {
+        return res.status(200).json(processingResponse);
+    }
+
+    return sendFileDownload(res, annotatedWorkbook);
+};
+
+const respondWithQueuedJob = (res, job) => {
+    const jobUrl = `/jobs/${job.id}`;
+    res.setHeader("Location", jobUrl);
+    return res.status(202).json({
+        status: "accepted",
+        message: "Shipment files queued for processing",
+        job_id: job.id,
+        filenames: job.filenames,
+        job_url: jobUrl,
+        client: clientSummary(job.client),
+        request_id: job.request_id,
+    });
+};
+
+// ?profile=<id> forces a column-mapping profile; otherwise it is detected
+// from each report's header row.
+const requestedProfileId = (req) =>
+    resolveMappingProfile(String(req.query?.profile || "").trim())?.id || null;
+
+// Mailgun deliveries are matched against the recipient routing table when one
+// is configured. Returns false when the message should be ignored.
+const applyRecipientRoute = (req) => {
+    if (req.client?.type !== "mailgun" || !isRecipientRoutingEnabled()) {
+        return true;
+    }
+
+    const route = findRecipientRoute(req.body?.recipient);
+    if (!route) {
+        log("No recipient route matches Mailgun delivery", {
+            event: "mailgun_recipient_unrouted",
+            request_id: req.requestId,
+            recipient: req.body?.recipient,
+        }, "warn");
+        return false;
+    }
+
+    req.client = routedMailgunClient(req.client, route);
+    req.recipientRoute = route;
+    log("Mailgun delivery matched recipient route", {
+        event: "mailgun_recipient_routed",
+        request_id: req.requestId,
+        recipient: req.body?.recipient,
+        recipient_route: route.id,
+        mapping_profile: route.profile,
+    });
+    return true;
+};
+
+const isDryRunRequest = (req) =>
+    ["1", "true", "yes"].includes(
+        String(req.query?.dry_run || "").trim().toLowerCase()
+    );
+
+// Reprocesses files even when identical ones were processed recently.
+const isForcedRequest = (req) =>
+    ["1", "true", "yes"].includes(
+        String(req.query?.force || "").trim().toLowerCase()
+    );
+
+shipmentRouter.post(['/', '/mime', '/raw-mime'], authenticateApiKeyCaller, (req, res, next) => {
     upload.any()(req, res, (error) => {
         if (!error) {
             return next();
         }
 
+        if (error.statusCode === 401 || error.statusCode === 503) {
+            return rejectMailgunRequest(req, res, next, error);
+        }
+
         if (error instanceof multer.MulterError) {
             if (error.code === "LIMIT_FILE_SIZE") {
                 const message =
@@ -56,50 +151,81 @@ shipmentRouter.post(['/', '/mime', '/raw-mime'], (req, res, next) => {
             request_id: req.requestId,
         });
     });
-}, async (req, res, next) => {
+}, requireShipmentCaller, async (req, res, next) => {
     try {
+        const dryRun = isDryRunRequest(req);
+        if (!applyRecipientRoute(req)) {
+            return res.status(202).json({
+                status: "ignored",
+                message: "No recipient route matches this message. Nothing was processed.",
+                recipient: req.body?.recipient || null,
+                request_id: req.requestId,
+            });
+        }
+
+        const profileId = req.recipientRoute?.profile || requestedProfileId(req);
+        const submitRoute = req.recipientRoute?.submit_route || null;
         const contentType = (req.headers["content-type"] || "").toLowerCase();
         const isMultipart = contentType.includes("multipart/form-data");
 
         if (!isMultipart) {
-            const mailgunAttachmentMeta =
-                extractXLSMMailgunAttachmentMeta(req);
+            const mailgunAttachmentMetas =
+                extractXLSMMailgunAttachmentMetas(req);
 
             log("Mailgun notification received", {
                 event: "mailgun_notification_received",
                 request_id: req.requestId,
+                client_id: req.client?.id,
                 recipient: req.body?.recipient,
                 attachment_count: parseMailgunAttachmentsField(
                     req.body?.attachments
                 ).length,
             });
 
-            if (!mailgunAttachmentMeta) {
+            if (mailgunAttachmentMetas.length === 0) {
                 log("Mailgun notification contained no shipment spreadsheet", {
                     event: "mailgun_notification_ignored",
                     request_id: req.requestId,
                 }, "warn");
                 return res.status(202).json({
                     message:
-                        "Accepted non-multipart payload. No .xlsm attachment to process.",
+                        "Accepted non-multipart payload. No shipment spreadsheet attachment to process.",
                     request_id: req.requestId,
                 });
             }
 
-            log("Retrieving stored Mailgun message for .xlsm attachment", {
+            if (!dryRun) {
+                return respondWithQueuedJob(
+                    res,
+                    await enqueueShipmentJob(req, {
+                        mailgunAttachments: mailgunAttachmentMetas,
+                        profileId,
+                        submitRoute,
+                        force: isForcedRequest(req),
+                    })
+                );
+            }
+
+            log("Retrieving stored Mailgun message for shipment spreadsheet attachments", {
                 event: "mailgun_attachment_retrieving",
                 request_id: req.requestId,
-                filename: mailgunAttachmentMeta.name,
-                content_type: mailgunAttachmentMeta["content-type"],
-                size: mailgunAttachmentMeta.size,
+                attachments: mailgunAttachmentMetas.map((meta) => ({
+                    filename: meta.name,
+                    content_type: meta["content-type"],
+                    size: meta.size,
+                })),
             });
 
-            const xlsmFile = await fetchMailgunAttachment(
+            const xlsmFiles = await fetchMailgunAttachments(
+                req,
+                mailgunAttachmentMetas
+            );
+            const processingResponse = await processShipmentFiles(
                 req,
-                mailgunAttachmentMeta
+                xlsmFiles,
+                { dryRun, annotate: wantsAnnotatedWorkbook(req), profileId }
             );
-            const processingResponse = await processShipmentFile(req, xlsmFile);
-            return res.status(200).json(processingResponse);
+            return respondWithDryRun(req, res, processingResponse);
         }
 
         const inboundFiles = Array.isArray(req.files)
@@ -113,17 +239,18 @@ shipmentRouter.post(['/', '/mime', '/raw-mime'], (req, res, next) => {
         log("Multipart shipment request received", {
             event: "multipart_shipment_request_received",
             request_id: req.requestId,
+            client_id: req.client?.id,
             recipient: req.body?.recipient,
             attachment_count: inboundFiles.length,
             files: inboundFiles,
         });
 
-        const xlsmFile = extractXLSMFileFromRequest(req);
-        if (!xlsmFile) {
+        const xlsmFiles = extractXLSMFilesFromRequest(req);
+        if (xlsmFiles.length === 0) {
             const attachmentCount = req.body?.["attachment-count"];
             const message = attachmentCount
-                ? `No .xlsm attachment found in Mailgun payload (attachment-count: ${attachmentCount})`
-                : "No .xlsm file attached in the request";
+                ? `No shipment spreadsheet (.xlsm, .xlsx, .csv or .zip) found in Mailgun payload (attachment-count: ${attachmentCount})`
+                : "No shipment spreadsheet (.xlsm, .xlsx, .csv or .zip) attached in the request";
             log(message, {
                 event: "shipment_file_missing",
                 request_id: req.requestId,
@@ -134,8 +261,24 @@ shipmentRouter.post(['/', '/mime', '/raw-mime'], (req, res, next) => {
             });
         }
 
-        const processingResponse = await processShipmentFile(req, xlsmFile);
-        return res.status(200).json(processingResponse);
+        if (!dryRun) {
+            return respondWithQueuedJob(
+                res,
+                await enqueueShipmentJob(req, {
+                    files: xlsmFiles,
+                    profileId,
+                    submitRoute,
+                    force: isForcedRequest(req),
+                })
+            );
+        }
+
+        const processingResponse = await processShipmentFiles(
+            req,
+            xlsmFiles,
+            { dryRun, annotate: wantsAnnotatedWorkbook(req), profileId }
+        );
+        return respondWithDryRun(req, res, processingResponse);
     } catch (error) {
         return next(error);
     }
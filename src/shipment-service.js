@@ -1,31 +1,92 @@
-import { MAX_ROW_DIAGNOSTICS } from './config.js';
+import { buildAnnotatedWorkbook } from './annotated-workbook.js';
+import { allowedStoreIdsFor } from './api-keys.js';
+import { clientSummary } from './auth.js';
+import {
+    MAX_ATTACHMENT_SIZE_BYTES,
+    MAX_ROW_DIAGNOSTICS,
+    ZIP_MAX_ENTRIES,
+    ZIP_MAX_UNCOMPRESSED_BYTES,
+} from './config.js';
+import { addDeadLetters } from './dead-letters.js';
+import { recordProcessingRun } from './history.js';
 import { log } from './logger.js';
-import { formatCannonHillData, parseXLSMFromBuffer } from './spreadsheet.js';
+import { filesReceivedTotal, spreadsheetRowsTotal } from './metrics.js';
+import {
+    detectSpreadsheetFormat,
+    formatCannonHillData,
+    parseXLSMFromBuffer,
+    unsupportedFormatError,
+} from './spreadsheet.js';
+import {
+    claimProcessedUpload,
+    settleProcessedUpload,
+    uploadFingerprint,
+} from './processed-files.js';
+import { deliverToOutputSinks } from './sinks.js';
+import { getStoreIdMap } from './store-map.js';
 import { postToSubmitRoute } from './submit.js';
+import {
+    partitionAgainstLedger,
+    recordSubmittedShipments,
+    releaseShipmentReservation,
+    reserveShipments,
+} from './submission-ledger.js';
+import { isZipArchiveFile, readZipEntries } from './zip.js';
 
-export const processShipmentFile = async (req, xlsmFile) => {
-    log("Shipment spreadsheet received", {
-        event: "shipment_file_received",
-        request_id: req.requestId,
-        filename: xlsmFile.originalname,
-        content_type: xlsmFile.mimetype,
-        size_kb: Math.ceil(
-            (xlsmFile.size || xlsmFile.buffer?.length || 0) / 1024
-        ),
+const appendDiagnostics = (summary, diagnostics, additions, limit) => {
+    additions.forEach((diagnostic) => {
+        if (diagnostics.length < limit) {
+            diagnostics.push(diagnostic);
+        } else {
+            summary.diagnostics_omitted += 1;
+        }
     });
+    summary.diagnostics_reported = diagnostics.length;
+};
 
-    const rows = await parseXLSMFromBuffer(xlsmFile.buffer, req.requestId);
-    const { shipments, summary, diagnostics } = formatCannonHillData(rows);
+// Moves accepted rows of the given shipments to a later outcome so the
+// annotated workbook shows what finally happened to each row.
+const markRowResults = (rowResults, sourceIds, changes) => {
+    const targetSourceIds = new Set(sourceIds);
+    rowResults.forEach((result) => {
+        if (result.status === "accepted" && targetSourceIds.has(result.source_id)) {
+            Object.assign(result, changes);
+        }
+    });
+};
+
+const FILE_SOURCE_LABELS = {
+    "mailgun-message-url": "mailgun_stored_message",
+    "mailgun-attachment-url": "mailgun_attachment_url",
+};
+
+const recordRowMetrics = (rowResults) => {
+    rowResults.forEach((result) => {
+        spreadsheetRowsTotal.inc({ outcome: result.status, code: result.code || "" });
+    });
+};
+
+const processShipmentRows = async (req, rows, processing, { dryRun, submitRoute }) => {
+    const diagnosticLimit = dryRun ? Infinity : MAX_ROW_DIAGNOSTICS;
+    const { shipments, summary, diagnostics, rowResults } = formatCannonHillData(rows, {
+        storeIdMap: await getStoreIdMap(),
+        allowedStoreIds: allowedStoreIdsFor(req.client),
+        diagnosticLimit,
+    });
+    processing.summary = summary;
+    processing.rowResults = rowResults;
 
     log("Spreadsheet processing completed", {
         event: "spreadsheet_processing_summary",
         request_id: req.requestId,
+        dry_run: dryRun,
         ...summary,
     });
 
-    diagnostics.forEach((diagnostic) => {
-        log("Spreadsheet row rejected", {
-            event: "spreadsheet_row_rejected",
+    diagnostics.slice(0, MAX_ROW_DIAGNOSTICS).forEach((diagnostic) => {
+        const isWarning = diagnostic.severity === "warning";
+        log(isWarning ? "Spreadsheet row accepted with a warning" : "Spreadsheet row rejected", {
+            event: isWarning ? "spreadsheet_row_warning" : "spreadsheet_row_rejected",
             request_id: req.requestId,
             ...diagnostic,
         }, "warn");
@@ -49,6 +110,72 @@ export const processShipmentFile = async (req, xlsmFile) => {
         }, "warn");
     }
 
+    // Dry runs only look; real runs hold their pending shipments in the ledger
+    // until submission ends so a concurrent run of the same report skips them.
+    const { pending, alreadySubmitted, reservationId = null } = dryRun
+        ? await partitionAgainstLedger(shipments)
+        : await reserveShipments(shipments, req.requestId);
+    summary.already_submitted_skipped = alreadySubmitted.length;
+    summary.tracking_updates = pending.filter(
+        (shipment) => shipment.tracking_update
+    ).length;
+    summary.shipments_pending = pending.length;
+    markRowResults(
+        rowResults,
+        alreadySubmitted.map((shipment) => shipment.source_id),
+        {
+            status: "skipped",
+            code: "ALREADY_SUBMITTED",
+            message: "Shipment was already submitted by an earlier upload",
+        }
+    );
+    appendDiagnostics(
+        summary,
+        diagnostics,
+        alreadySubmitted.map((shipment) => ({
+            row_number: null,
+            code: "ALREADY_SUBMITTED",
+            message: "Shipment was already submitted by an earlier upload",
+            source_id: shipment.source_id,
+        })),
+        diagnosticLimit
+    );
+
+    const alreadySubmittedOrders = alreadySubmitted.map((shipment) => ({
+        source_id: shipment.source_id,
+        status: "already_submitted",
+        message: "Shipment was already submitted by an earlier upload",
+        tracking_numbers: shipment.tracking_numbers,
+        source_rows: shipment.source_rows || [],
+    }));
+
+    if (alreadySubmitted.length > 0 || summary.tracking_updates > 0) {
+        log("Shipments checked against submission ledger", {
+            event: "submission_ledger_checked",
+            request_id: req.requestId,
+            already_submitted_skipped: summary.already_submitted_skipped,
+            tracking_updates: summary.tracking_updates,
+            shipments_pending: summary.shipments_pending,
+        });
+    }
+
+    if (dryRun) {
+        log("Dry run completed without submitting shipments", {
+            event: "shipment_dry_run_completed",
+            request_id: req.requestId,
+            shipment_count: pending.length,
+        });
+        return {
+            status: "dry_run",
+            message: "Dry run only. Shipments were not submitted.",
+            shipments: pending,
+            summary,
+            diagnostics,
+            client: clientSummary(req.client),
+            request_id: req.requestId,
+        };
+    }
+
     if (shipments.length === 0) {
         const error = new Error("Spreadsheet contained no valid shipments");
         error.statusCode = 422;
@@ -56,16 +183,429 @@ export const processShipmentFile = async (req, xlsmFile) => {
         throw error;
     }
 
-    const submitResponse = await postToSubmitRoute(
-        shipments,
-        3,
-        req.requestId
+    if (pending.length === 0) {
+        return {
+            status: "already_submitted",
+            message: "Every shipment in this report was already submitted",
+            results: [],
+            orders: alreadySubmittedOrders,
+            summary,
+            diagnostics,
+            client: clientSummary(req.client),
+            request_id: req.requestId,
+        };
+    }
+
+    let submitResponse;
+    try {
+        submitResponse = await postToSubmitRoute(pending, 3, req.requestId, {
+            submitRoute,
+        });
+    } catch (error) {
+        await releaseShipmentReservation(reservationId);
+        if (error.orders) {
+            error.orders.push(...alreadySubmittedOrders);
+        }
+        (error.chunks || []).forEach((chunk) => {
+            markRowResults(rowResults, chunk.source_ids, {
+                status: "failed",
+                code: "SUBMIT_FAILED",
+                message: chunk.message,
+            });
+        });
+        if (error.chunks) {
+            error.dead_letters = await addDeadLetters(
+                error.chunks,
+                pending,
+                req.requestId,
+                submitRoute
+            );
+        }
+        throw error;
+    }
+    const submittedSourceIds = new Set([
+        ...submitResponse.source_ids.succeeded,
+        ...submitResponse.source_ids.queued,
+    ]);
+    const submittedShipments = pending.filter((shipment) =>
+        submittedSourceIds.has(shipment.source_id)
+    );
+    try {
+        await recordSubmittedShipments(submittedShipments, req.requestId);
+    } finally {
+        await releaseShipmentReservation(reservationId);
+    }
+    const failedChunks = submitResponse.chunks.filter(
+        (chunk) => chunk.status === "failed"
     );
+    failedChunks.forEach((chunk) => {
+        markRowResults(rowResults, chunk.source_ids, {
+            status: "failed",
+            code: "SUBMIT_FAILED",
+            message: chunk.message,
+        });
+    });
+    const deadLetters = await addDeadLetters(
+        failedChunks,
+        pending,
+        req.requestId,
+        submitRoute
+    );
+    // Sinks get what the submitter accepted; failed chunks reach them when
+    // their dead letters are replayed.
+    const sinks = await deliverToOutputSinks(submittedShipments, {
+        requestId: req.requestId,
+    });
 
     return {
         ...submitResponse,
+        orders: [...submitResponse.orders, ...alreadySubmittedOrders],
+        ...(deadLetters.length > 0
+            ? { dead_letter_ids: deadLetters.map((batch) => batch.id) }
+            : {}),
+        ...(sinks.length > 0 ? { sinks } : {}),
         summary,
         diagnostics,
+        client: clientSummary(req.client),
+        request_id: req.requestId,
+    };
+};
+
+const ROW_STATUS_COUNTS = {
+    accepted: "rows_accepted",
+    rejected: "rows_rejected",
+    skipped: "rows_already_submitted",
+    failed: "rows_failed",
+};
+
+const summarizeFileRows = (rowResults) =>
+    rowResults.reduce(
+        (summary, result) => {
+            summary[ROW_STATUS_COUNTS[result.status]] += 1;
+            return summary;
+        },
+        {
+            spreadsheet_rows: rowResults.length,
+            rows_accepted: 0,
+            rows_rejected: 0,
+            rows_already_submitted: 0,
+            rows_failed: 0,
+        }
+    );
+
+const isArchivedSpreadsheet = (entryName) => {
+    const baseName = entryName.split("/").pop();
+    return (
+        !entryName.startsWith("__MACOSX/") &&
+        !baseName.startsWith(".") &&
+        Boolean(detectSpreadsheetFormat({ filename: baseName }))
+    );
+};
+
+const extractZipSpreadsheets = (req, archive) => {
+    const entries = readZipEntries(archive.buffer, {
+        filter: isArchivedSpreadsheet,
+        maxEntries: ZIP_MAX_ENTRIES,
+        maxEntryBytes: MAX_ATTACHMENT_SIZE_BYTES,
+        maxTotalBytes: ZIP_MAX_UNCOMPRESSED_BYTES,
+    });
+
+    log("ZIP attachment unpacked", {
+        event: "zip_attachment_unpacked",
+        request_id: req.requestId,
+        filename: archive.originalname,
+        spreadsheet_count: entries.length,
+    });
+
+    if (entries.length === 0) {
+        const error = new Error("ZIP archive contained no shipment spreadsheets");
+        error.statusCode = 422;
+        throw error;
+    }
+
+    return entries.map((entry) => ({
+        fieldname: archive.fieldname,
+        originalname: entry.name.split("/").pop(),
+        mimetype: "",
+        size: entry.buffer.length,
+        buffer: entry.buffer,
+        archive: archive.originalname,
+    }));
+};
+
+const readShipmentFile = async (req, file, { dryRun, profileId }) => {
+    const format = detectSpreadsheetFormat({
+        filename: file.originalname,
+        mimetype: file.mimetype,
+        buffer: file.buffer,
+    });
+
+    log("Shipment spreadsheet received", {
+        event: "shipment_file_received",
+        request_id: req.requestId,
+        client_id: req.client?.id,
+        filename: file.originalname,
+        content_type: file.mimetype,
+        format,
+        dry_run: dryRun,
+        size_kb: Math.ceil(
+            (file.size || file.buffer?.length || 0) / 1024
+        ),
+    });
+    filesReceivedTotal.inc({
+        source: FILE_SOURCE_LABELS[file.fieldname] || "multipart",
+        format: format || "unknown",
+    });
+
+    try {
+        if (!format) {
+            throw unsupportedFormatError({
+                filename: file.originalname,
+                buffer: file.buffer,
+            });
+        }
+        const { rows, profile } = await parseXLSMFromBuffer(
+            file.buffer,
+            req.requestId,
+            format,
+            { profileId }
+        );
+        rows.forEach((row) => {
+            Object.defineProperty(row, "__source_file", {
+                value: file.originalname,
+                enumerable: false,
+            });
+        });
+        return { file, format, profile, rows, error: null };
+    } catch (error) {
+        return { file, format, profile: null, rows: [], error };
+    }
+};
+
+// Every attachment is parsed on its own, then all rows are formatted together
+// so an order repeated across files is merged or rejected as a duplicate like
+// it would be within one file. Results are reported per file and combined.
+const runShipmentFiles = async (
+    req,
+    files,
+    processing,
+    { dryRun = false, annotate = false, profileId = null, submitRoute = null } = {}
+) => {
+    const parsedFiles = [];
+    for (const file of files) {
+        let spreadsheetFiles = [file];
+        // Some mail clients label workbooks application/zip; a spreadsheet
+        // extension wins over that label.
+        if (
+            isZipArchiveFile({ filename: file.originalname, mimetype: file.mimetype }) &&
+            !detectSpreadsheetFormat({ filename: file.originalname })
+        ) {
+            try {
+                spreadsheetFiles = extractZipSpreadsheets(req, file);
+            } catch (error) {
+                log("ZIP attachment could not be unpacked", {
+                    event: "zip_attachment_rejected",
+                    request_id: req.requestId,
+                    filename: file.originalname,
+                    error,
+                }, "warn");
+                parsedFiles.push({ file, format: "zip", profile: null, rows: [], error });
+                continue;
+            }
+        }
+
+        for (const spreadsheetFile of spreadsheetFiles) {
+            parsedFiles.push(
+                await readShipmentFile(req, spreadsheetFile, { dryRun, profileId })
+            );
+        }
+    }
+
+    const failedFiles = parsedFiles.filter((parsedFile) => parsedFile.error);
+    if (failedFiles.length === parsedFiles.length) {
+        const error = failedFiles[0]?.error || new Error("No shipment spreadsheet to process");
+        error.files_failed = failedFiles.length;
+        throw error;
+    }
+
+    // formatCannonHillData records exactly one result per row in input order,
+    // so each file's results are the matching slice of the combined list.
+    const fileRowResults = (parsedFile) => {
+        const offset = parsedFiles
+            .slice(0, parsedFiles.indexOf(parsedFile))
+            .reduce((count, previous) => count + previous.rows.length, 0);
+        return processing.rowResults.slice(offset, offset + parsedFile.rows.length);
+    };
+
+    const buildFileResults = () =>
+        parsedFiles.map((parsedFile) => ({
+            filename: parsedFile.file.originalname,
+            ...(parsedFile.file.archive ? { archive: parsedFile.file.archive } : {}),
+            format: parsedFile.format,
+            mapping_profile: parsedFile.profile,
+            status: parsedFile.error ? "failed" : "processed",
+            ...(parsedFile.error ? { error: parsedFile.error.message } : {}),
+            summary: summarizeFileRows(fileRowResults(parsedFile)),
+        }));
+
+    const fileDiagnostics = failedFiles.map((parsedFile) => ({
+        row_number: null,
+        file: parsedFile.file.originalname,
+        code: "FILE_PARSE_FAILED",
+        message: parsedFile.error.message,
+    }));
+
+    const finishResult = (result) => {
+        if (result.summary) {
+            result.summary.files_received = parsedFiles.length;
+            result.summary.files_failed = failedFiles.length;
+        }
+        if (result.diagnostics) {
+            result.diagnostics.unshift(...fileDiagnostics);
+            if (result.summary) {
+                result.summary.diagnostics_reported = result.diagnostics.length;
+            }
+        }
+        result.files = buildFileResults();
+        return result;
+    };
+
+    // Annotated copies ride along as a non-enumerable property so they never
+    // end up in JSON responses or job records.
+    const attachAnnotatedWorkbooks = async (target) => {
+        if (!annotate || !processing.summary) {
+            return target;
+        }
+
+        const annotatedWorkbooks = [];
+        for (const parsedFile of parsedFiles.filter((candidate) => !candidate.error)) {
+            const rowResults = fileRowResults(parsedFile);
+            try {
+                annotatedWorkbooks.push(await buildAnnotatedWorkbook({
+                    buffer: parsedFile.file.buffer,
+                    format: parsedFile.format,
+                    filename: parsedFile.file.originalname,
+                    rowResults,
+                    summary: summarizeFileRows(rowResults),
+                    profileId: parsedFile.profile,
+                }));
+            } catch (error) {
+                log("Annotated workbook could not be generated", {
+                    event: "annotated_workbook_failed",
+                    request_id: req.requestId,
+                    filename: parsedFile.file.originalname,
+                    error,
+                }, "error");
+            }
+        }
+
+        Object.defineProperty(target, "annotatedWorkbooks", {
+            value: annotatedWorkbooks,
+            enumerable: false,
+        });
+        return target;
+    };
+
+    try {
+        return await attachAnnotatedWorkbooks(
+            finishResult(
+                await processShipmentRows(
+                    req,
+                    parsedFiles.flatMap((parsedFile) => parsedFile.rows),
+                    processing,
+                    { dryRun, submitRoute }
+                )
+            )
+        );
+    } catch (error) {
+        if (error.details) {
+            finishResult(error.details);
+        }
+        throw await attachAnnotatedWorkbooks(error);
+    } finally {
+        if (!dryRun) {
+            recordRowMetrics(processing.rowResults);
+        }
+    }
+};
+
+// Answers with the earlier result when the same caller sent identical files
+// within DUPLICATE_FILE_WINDOW_HOURS, e.g. a retried webhook or a forwarded
+// email. Returns null when the files have to be processed.
+const describeDuplicate = (req, fingerprint, previous) => {
+    log("Identical files were already processed", {
+        event: "duplicate_file_skipped",
+        request_id: req.requestId,
+        previous_request_id: previous.request_id,
+        processed_at: previous.processed_at || null,
+        file_hashes: fingerprint.fileHashes,
+    }, "warn");
+    if (previous.state === "processing") {
+        return {
+            status: "duplicate_file",
+            message: "Identical files are being processed by another request; add force=true to process them again.",
+            duplicate_of: {
+                request_id: previous.request_id,
+                processed_at: null,
+                status: "processing",
+            },
+            client: clientSummary(req.client),
+            request_id: req.requestId,
+        };
+    }
+    return {
+        ...previous.result,
+        status: "duplicate_file",
+        message: "Identical files were already processed. Showing the earlier result; add force=true to process them again.",
+        duplicate_of: {
+            request_id: previous.request_id,
+            processed_at: previous.processed_at,
+            status: previous.result.status,
+        },
+        client: clientSummary(req.client),
         request_id: req.requestId,
     };
 };
+
+// Every run, successful or not, is kept in the processing history.
+export const processShipmentFiles = async (req, files, options = {}) => {
+    const startedAt = new Date();
+    const processing = { summary: null, rowResults: [] };
+    const fingerprint = options.dryRun
+        ? null
+        : uploadFingerprint(req, files, {
+            profileId: options.profileId,
+            submitRoute: options.submitRoute,
+        });
+    let result = null;
+    let error = null;
+    let isDuplicate = false;
+    try {
+        if (fingerprint && !options.force) {
+            const previous = await claimProcessedUpload(fingerprint.key, req.requestId);
+            if (previous) {
+                isDuplicate = true;
+                result = describeDuplicate(req, fingerprint, previous);
+                return result;
+            }
+        }
+
+        result = await runShipmentFiles(req, files, processing, options);
+        return result;
+    } catch (processingError) {
+        error = processingError;
+        throw processingError;
+    } finally {
+        if (fingerprint && !isDuplicate) {
+            await settleProcessedUpload(fingerprint.key, result, req.requestId);
+        }
+        await recordProcessingRun(req, {
+            files,
+            dryRun: Boolean(options.dryRun),
+            startedAt,
+            result,
+            error,
+            rowResults: processing.rowResults,
+        });
+    }
+};
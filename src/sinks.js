@@ -0,0 +1,243 @@
+import { createHmac } from 'crypto';
+import { promises as fs, readFileSync } from 'fs';
+import path from 'path';
+import fetch from 'node-fetch';
+import { OUTPUT_SINK_DIR, OUTPUT_SINKS_FILE } from './config.js';
+import { formatCsv } from './csv.js';
+import { log } from './logger.js';
+import { outputSinkDeliveriesTotal } from './metrics.js';
+
+const SINK_FORMATS = ["jsonl", "csv"];
+
+const CSV_COLUMNS = [
+    "source_id",
+    "tracking_number",
+    "tracking_numbers",
+    "carton_count",
+    "carrier_code",
+    "shipment_method",
+];
+
+const serializeShipments = (shipments, format) =>
+    format === "csv"
+        ? formatCsv([
+            CSV_COLUMNS,
+            ...shipments.map((shipment) =>
+                CSV_COLUMNS.map((column) =>
+                    column === "tracking_numbers"
+                        ? (shipment.tracking_numbers || []).join(" ")
+                        : shipment[column]
+                )
+            ),
+        ])
+        : shipments.map((shipment) => `${JSON.stringify(shipment)}\n`).join("");
+
+const safeFilePart = (value) => String(value || "unknown").replace(/[^A-Za-z0-9._-]+/g, "_");
+
+// Writes one file per delivery, renamed into place once complete so the
+// warehouse pickup never reads a partial file.
+const deliverToFile = async (sink, shipments, { requestId }) => {
+    const filename = `${new Date().toISOString().replace(/[:.]/g, "-")}-${safeFilePart(requestId)}.${sink.format}`;
+    const filePath = path.join(sink.directory, filename);
+    const temporaryPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.mkdir(sink.directory, { recursive: true });
+    await fs.writeFile(temporaryPath, serializeShipments(shipments, sink.format));
+    await fs.rename(temporaryPath, filePath);
+    return { message: `Wrote ${shipments.length} shipment(s)`, location: filename };
+};
+
+// Receivers verify X-Shipment-Signature: "t=<unix seconds>,v1=<hex>", where
+// the hex is the HMAC-SHA256 of "<t>.<raw body>" under the sink's secret.
+const deliverToWebhook = async (sink, shipments, { requestId }) => {
+    const body = JSON.stringify({
+        request_id: requestId,
+        sent_at: new Date().toISOString(),
+        shipment_count: shipments.length,
+        shipments,
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = createHmac("sha256", sink.secret)
+        .update(`${timestamp}.${body}`)
+        .digest("hex");
+
+    const response = await fetch(sink.url, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            "X-Shipment-Sink": sink.id,
+            "X-Shipment-Signature": `t=${timestamp},v1=${signature}`,
+            ...(requestId ? { "X-Request-Id": requestId } : {}),
+        },
+        body,
+        signal: AbortSignal.timeout(sink.timeout_ms),
+    });
+    if (!response.ok) {
+        throw new Error(`Webhook responded with status ${response.status}`);
+    }
+    return { message: `Webhook accepted ${shipments.length} shipment(s)`, status_code: response.status };
+};
+
+let stdoutSinkStream = process.stdout;
+
+// The CLI keeps stdout for its own result, so "stdout" sinks print to stderr.
+export const sendStdoutSinksToStderr = () => {
+    stdoutSinkStream = process.stderr;
+};
+
+const deliverToStdout = async (sink, shipments) => {
+    stdoutSinkStream.write(serializeShipments(shipments, sink.format));
+    return { message: `Printed ${shipments.length} shipment(s)` };
+};
+
+const SINK_TYPES = {
+    file: deliverToFile,
+    webhook: deliverToWebhook,
+    stdout: deliverToStdout,
+};
+
+const validateSink = (sink, index) => {
+    const fail = (message) => {
+        throw new Error(
+            `Invalid output sink ${sink?.id || `#${index + 1}`} in ${OUTPUT_SINKS_FILE}: ${message}`
+        );
+    };
+
+    if (!sink || typeof sink.id !== "string" || !sink.id.trim()) {
+        fail("id is required");
+    }
+    if (!SINK_TYPES[sink.type]) {
+        fail(`type must be one of ${Object.keys(SINK_TYPES).join(", ")}`);
+    }
+    if (sink.format !== undefined && !SINK_FORMATS.includes(sink.format)) {
+        fail(`format must be one of ${SINK_FORMATS.join(", ")}`);
+    }
+    ["retries", "retry_delay_ms", "timeout_ms"].forEach((field) => {
+        if (sink[field] !== undefined && !(Number.isInteger(sink[field]) && sink[field] > 0)) {
+            fail(`${field} must be a positive integer`);
+        }
+    });
+
+    const secret = sink.secret_env ? process.env[sink.secret_env] : sink.secret;
+    if (sink.type === "webhook") {
+        try {
+            if (!/^https?:$/.test(new URL(sink.url).protocol)) {
+                throw new Error("unsupported protocol");
+            }
+        } catch (error) {
+            fail("url must be an http(s) URL");
+        }
+        if (!secret) {
+            fail(
+                sink.secret_env
+                    ? `${sink.secret_env} is not set`
+                    : "secret or secret_env is required to sign deliveries"
+            );
+        }
+    }
+
+    const id = sink.id.trim();
+    return {
+        id,
+        type: sink.type,
+        format: sink.format || "jsonl",
+        directory: sink.directory
+            ? path.resolve(sink.directory)
+            : path.join(OUTPUT_SINK_DIR, safeFilePart(id)),
+        url: sink.url || null,
+        secret: secret || null,
+        retries: sink.retries || 3,
+        retry_delay_ms: sink.retry_delay_ms || 1000,
+        timeout_ms: sink.timeout_ms || 10000,
+    };
+};
+
+const loadOutputSinks = () => {
+    if (!OUTPUT_SINKS_FILE) {
+        return [];
+    }
+
+    const configured = JSON.parse(readFileSync(OUTPUT_SINKS_FILE, "utf8"));
+    if (!Array.isArray(configured)) {
+        throw new Error(`${OUTPUT_SINKS_FILE} must contain an array of output sinks`);
+    }
+    const sinks = configured.map(validateSink);
+    const ids = new Set();
+    sinks.forEach((sink) => {
+        if (ids.has(sink.id)) {
+            throw new Error(`Duplicate output sink id ${sink.id} in ${OUTPUT_SINKS_FILE}`);
+        }
+        ids.add(sink.id);
+    });
+    return sinks;
+};
+
+const outputSinks = loadOutputSinks();
+
+export const listOutputSinks = () =>
+    outputSinks.map(({ id, type, format, retries }) => ({ id, type, format, retries }));
+
+const deliverToSink = async (sink, shipments, requestId) => {
+    for (let attempt = 1; attempt <= sink.retries; attempt += 1) {
+        try {
+            const outcome = await SINK_TYPES[sink.type](sink, shipments, { requestId });
+            outputSinkDeliveriesTotal.inc({ sink: sink.id, outcome: "delivered" });
+            log("Shipments delivered to output sink", {
+                event: "output_sink_delivered",
+                request_id: requestId,
+                sink: sink.id,
+                sink_type: sink.type,
+                shipment_count: shipments.length,
+                attempt,
+            });
+            return {
+                sink: sink.id,
+                type: sink.type,
+                status: "delivered",
+                attempts: attempt,
+                ...outcome,
+            };
+        } catch (error) {
+            const isFinalAttempt = attempt === sink.retries;
+            log(
+                isFinalAttempt
+                    ? "Output sink delivery failed"
+                    : "Output sink delivery failed; retrying",
+                {
+                    event: isFinalAttempt ? "output_sink_failed" : "output_sink_retry",
+                    request_id: requestId,
+                    sink: sink.id,
+                    sink_type: sink.type,
+                    attempt,
+                    max_attempts: sink.retries,
+                    error,
+                },
+                isFinalAttempt ? "error" : "warn"
+            );
+
+            if (isFinalAttempt) {
+                outputSinkDeliveriesTotal.inc({ sink: sink.id, outcome: "failed" });
+                return {
+                    sink: sink.id,
+                    type: sink.type,
+                    status: "failed",
+                    attempts: attempt,
+                    message: error.message,
+                };
+            }
+            await new Promise((resolve) =>
+                setTimeout(resolve, attempt * sink.retry_delay_ms)
+            );
+        }
+    }
+};
+
+// Fans submitted shipments out to every configured sink at once. Each sink
+// retries on its own and a failing sink never fails the submission; its
+// outcome is reported next to the others.
+export const deliverToOutputSinks = async (shipments, { requestId = null } = {}) => {
+    if (shipments.length === 0) {
+        return [];
+    }
+    return Promise.all(outputSinks.map((sink) => deliverToSink(sink, shipments, requestId)));
+};
@@ -1,216 +1,464 @@
 import ExcelJS from 'exceljs';
-import { MAX_ROW_DIAGNOSTICS } from './config.js';
+import {
+    CSV_MIME_TYPES,
+    LEGACY_EXCEL_MIME_TYPE,
+    MAX_ROW_DIAGNOSTICS,
+    TRACKING_CHECK_ACTIONS,
+    XLSM_MIME_TYPES,
+    XLSX_MIME_TYPES,
+} from './config.js';
+import { parseCsv } from './csv.js';
 import { log } from './logger.js';
+import {
+    createRowMapper,
+    findProfileHeaderRow,
+    getMappingProfile,
+    headerMarkersDescription,
+} from './mapping-profiles.js';
+import { checkTrackingNumber } from './tracking.js';
 
-const SHIPMENT_METHOD_MAP = {
-    G: "Ground",
-    "3RD": "3 Day Select",
-    "2ND": "2nd Day Air",
+const SPREADSHEET_EXTENSION_FORMATS = {
+    ".xlsm": "xlsm",
+    ".xlsx": "xlsx",
+    ".csv": "csv",
 };
 
-const STORE_ID_MAP = {
-    RTSCS: "68125",
-    RTFMS: "118741",
-    HERO: "14077",
+const isZipBuffer = (buffer) =>
+    Buffer.isBuffer(buffer) &&
+    buffer.length >= 4 &&
+    buffer[0] === 0x50 &&
+    buffer[1] === 0x4b &&
+    buffer[2] === 0x03 &&
+    buffer[3] === 0x04;
+
+// Legacy .xls workbooks are OLE2 compound files.
+const OLE2_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+const isOle2Buffer = (buffer) =>
+    Buffer.isBuffer(buffer) &&
+    buffer.length >= OLE2_SIGNATURE.length &&
+    buffer.subarray(0, OLE2_SIGNATURE.length).equals(OLE2_SIGNATURE);
+
+// CSV reports are text, so NUL and other control bytes (besides tab, line
+// breaks and form feed) in the first 8KB mean some other binary file.
+const looksLikeText = (buffer) =>
+    !buffer.subarray(0, 8192).some((byte) => byte < 0x09 || (byte > 0x0d && byte < 0x20));
+
+const hasLegacyExcelExtension = (filename = "") => /\.xls$/i.test(String(filename).trim());
+
+export const isLegacyExcelFile = ({ filename = "", mimetype = "", buffer = null } = {}) =>
+    hasLegacyExcelExtension(filename) ||
+    String(mimetype).split(";")[0].trim().toLowerCase() === LEGACY_EXCEL_MIME_TYPE ||
+    isOle2Buffer(buffer);
+
+export const unsupportedFormatError = (file = {}) => {
+    const error = new Error(
+        isLegacyExcelFile({ filename: file.filename, buffer: file.buffer })
+            ? "Legacy .xls workbooks are not supported; save the report as .xlsx, .xlsm or .csv"
+            : "Unsupported spreadsheet format"
+    );
+    error.statusCode = 415;
+    return error;
 };
 
-const normalizeRowKeys = (row) => {
-    const normalizedData = {};
-    Object.keys(row).forEach((key) => {
-        normalizedData[key.replace(/[- ]/g, '_').trim()] = row[key];
-    });
-    return normalizedData;
+const formatFromFilename = (filename = "") => {
+    const match = /\.[a-z0-9]+$/i.exec(String(filename).trim());
+    return match ? SPREADSHEET_EXTENSION_FORMATS[match[0].toLowerCase()] || null : null;
 };
 
-export const parseXLSMFromBuffer = async (buffer, requestId = null) => {
-    try {
-        const workbook = new ExcelJS.Workbook();
-        await workbook.xlsx.load(buffer);
+const formatFromMimeType = (mimetype = "") => {
+    const normalizedMimeType = String(mimetype).split(";")[0].trim().toLowerCase();
+    if (XLSX_MIME_TYPES.has(normalizedMimeType)) {
+        return "xlsx";
+    }
+    if (CSV_MIME_TYPES.has(normalizedMimeType)) {
+        return "csv";
+    }
+    if (
+        XLSM_MIME_TYPES.has(normalizedMimeType) &&
+        normalizedMimeType !== "application/octet-stream"
+    ) {
+        return "xlsm";
+    }
+    return null;
+};
 
-        if (!Array.isArray(workbook.worksheets) || workbook.worksheets.length === 0) {
-            throw new Error("No sheets found in XLSM file");
-        }
+export const isGenericSpreadsheetMimeType = (mimetype = "") =>
+    String(mimetype).split(";")[0].trim().toLowerCase() ===
+    "application/octet-stream";
 
-        const worksheet = workbook.worksheets[0];
-        const rawRows = [];
-        const rawRowNumbers = [];
+export const detectSpreadsheetFormat = ({
+    filename = "",
+    mimetype = "",
+    buffer = null,
+} = {}) => {
+    if (hasLegacyExcelExtension(filename)) {
+        return null;
+    }
+    const declaredFormat =
+        formatFromFilename(filename) || formatFromMimeType(mimetype);
 
-        worksheet.eachRow({ includeEmpty: false }, (row) => {
-            const rowValues = [];
-            for (let index = 1; index <= row.cellCount; index += 1) {
-                rowValues.push(String(row.getCell(index)?.text || "").trim());
-            }
-            rawRows.push(rowValues);
-            rawRowNumbers.push(row.number);
-        });
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+        return declaredFormat;
+    }
 
-        if (rawRows.length === 0) {
-            throw new Error("No rows found in XLSM file");
+    // Content wins over labels: Excel workbooks are zip containers, while a
+    // CSV report is plain text even when it arrives as octet-stream. Legacy
+    // .xls workbooks and other binaries are not read at all.
+    if (isZipBuffer(buffer)) {
+        return declaredFormat && declaredFormat !== "csv" ? declaredFormat : "xlsx";
+    }
+    if (isOle2Buffer(buffer) || !looksLikeText(buffer)) {
+        return null;
+    }
+    if (!declaredFormat || declaredFormat === "csv") {
+        return "csv";
+    }
+    return declaredFormat;
+};
+
+const readWorkbookRows = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    if (!Array.isArray(workbook.worksheets) || workbook.worksheets.length === 0) {
+        throw new Error("No sheets found in spreadsheet");
+    }
+
+    const worksheet = workbook.worksheets[0];
+    const rawRows = [];
+    const rawRowNumbers = [];
+
+    worksheet.eachRow({ includeEmpty: false }, (row) => {
+        const rowValues = [];
+        for (let index = 1; index <= row.cellCount; index += 1) {
+            rowValues.push(String(row.getCell(index)?.text || "").trim());
         }
+        rawRows.push(rowValues);
+        rawRowNumbers.push(row.number);
+    });
 
-        const headerRowIndex = rawRows.findIndex(
-            (row) =>
-                Array.isArray(row) &&
-                row.some((cell) =>
-                    String(cell || "")
-                        .trim()
-                        .toLowerCase()
-                        .replace(/\s+/g, " ")
-                        .includes("cust po number")
-                )
-        );
+    return { sheetName: worksheet.name, rawRows, rawRowNumbers };
+};
 
-        if (headerRowIndex === -1) {
-            throw new Error("Could not find header row containing 'Cust PO Number'");
+const readCsvRows = (buffer) => {
+    const rawRows = [];
+    const rawRowNumbers = [];
+
+    parseCsv(buffer).forEach((row, index) => {
+        const rowValues = row.map((cell) => String(cell || "").trim());
+        if (rowValues.some((cell) => cell !== "")) {
+            rawRows.push(rowValues);
+            rawRowNumbers.push(index + 1);
         }
+    });
+
+    return { sheetName: null, rawRows, rawRowNumbers };
+};
+
+export const isShipmentHeaderRow = (row, profileId = null) =>
+    Boolean(findProfileHeaderRow([row], getMappingProfile(profileId)));
+
+export const resolveMappingProfile = (profileId) => {
+    if (!profileId) {
+        return null;
+    }
+
+    const profile = getMappingProfile(profileId);
+    if (!profile) {
+        const error = new Error(`Unknown mapping profile: ${profileId}`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return profile;
+};
+
+const mapRowsFromHeader = (rawRows, rawRowNumbers, requestedProfile) => {
+    const match = findProfileHeaderRow(rawRows, requestedProfile);
 
-        const headers = rawRows[headerRowIndex].map((cell, index) =>
-            String(cell || `column_${index + 1}`).trim()
+    if (!match) {
+        throw new Error(
+            `Could not find header row containing ${headerMarkersDescription(requestedProfile)}`
         );
+    }
 
-        const results = rawRows
-            .slice(headerRowIndex + 1)
-            .map((row, index) => ({
-                row,
-                rowNumber: rawRowNumbers[headerRowIndex + 1 + index],
-            }))
-            .filter(
-                ({ row }) =>
-                    Array.isArray(row) &&
-                    row.some((cell) => String(cell || "").trim() !== "")
-            )
-            .map(({ row, rowNumber }) => {
-                const mappedRow = {};
-                headers.forEach((header, index) => {
-                    mappedRow[header] = row[index] || "";
-                });
+    const { profile, headerRowIndex } = match;
+    const mapRow = createRowMapper(profile, rawRows[headerRowIndex]);
 
-                const normalizedRow = normalizeRowKeys(mappedRow);
-                Object.defineProperty(normalizedRow, "__source_row_number", {
-                    value: rowNumber,
-                    enumerable: false,
-                });
-                return normalizedRow;
+    const rows = rawRows
+        .slice(headerRowIndex + 1)
+        .map((row, index) => ({
+            row,
+            rowNumber: rawRowNumbers[headerRowIndex + 1 + index],
+        }))
+        .filter(
+            ({ row }) =>
+                Array.isArray(row) &&
+                row.some((cell) => String(cell || "").trim() !== "")
+        )
+        .map(({ row, rowNumber }) => {
+            const mappedRow = mapRow(row);
+            Object.defineProperty(mappedRow, "__source_row_number", {
+                value: rowNumber,
+                enumerable: false,
             });
+            return mappedRow;
+        });
+
+    return { rows, profile };
+};
+
+// Resolves to { rows, profile }: rows carry SHIPMENT_FIELDS keys mapped by
+// the requested profile, or by the profile detected from the header row.
+export const parseXLSMFromBuffer = async (
+    buffer,
+    requestId = null,
+    format = null,
+    { profileId = null } = {}
+) => {
+    const requestedProfile = resolveMappingProfile(profileId);
+    const spreadsheetFormat = format || detectSpreadsheetFormat({ buffer });
+
+    try {
+        if (!spreadsheetFormat) {
+            throw unsupportedFormatError({ buffer });
+        }
+
+        const { sheetName, rawRows, rawRowNumbers } =
+            spreadsheetFormat === "csv"
+                ? readCsvRows(buffer)
+                : await readWorkbookRows(buffer);
+
+        if (rawRows.length === 0) {
+            throw new Error("No rows found in spreadsheet");
+        }
 
-        log("XLSM parsing completed successfully", {
+        const { rows, profile } = mapRowsFromHeader(
+            rawRows,
+            rawRowNumbers,
+            requestedProfile
+        );
+
+        log("Spreadsheet parsing completed successfully", {
             event: "spreadsheet_parsed",
             request_id: requestId,
-            worksheet: worksheet.name,
-            rows_found: results.length,
+            format: spreadsheetFormat,
+            worksheet: sheetName,
+            mapping_profile: profile.id,
+            profile_detected: !requestedProfile,
+            rows_found: rows.length,
         });
-        return results;
+        return { rows, profile: profile.id };
     } catch (error) {
-        log("XLSM parsing failed", {
+        log("Spreadsheet parsing failed", {
             event: "spreadsheet_parse_failed",
             request_id: requestId,
+            format: spreadsheetFormat,
             error,
         }, "error");
         throw error;
     }
 };
 
-export const formatCannonHillData = (results) => {
-    const uniqueOrderIds = new Set();
+export const formatCannonHillData = (
+    results,
+    {
+        storeIdMap = {},
+        allowedStoreIds = null,
+        diagnosticLimit = MAX_ROW_DIAGNOSTICS,
+        trackingCheckActions = TRACKING_CHECK_ACTIONS,
+    } = {}
+) => {
+    const shipmentsBySourceId = new Map();
     const unknownCustomers = new Set();
     const shipments = [];
     const diagnostics = [];
+    const rowResults = [];
     let totalDiagnostics = 0;
+    let rowsAccepted = 0;
     const summary = {
         spreadsheet_rows: Array.isArray(results) ? results.length : 0,
         shipments_accepted: 0,
-        rows_skipped: 0,
+        rows_rejected: 0,
+        carton_rows_merged: 0,
         duplicate_orders_skipped: 0,
         missing_po_skipped: 0,
         invalid_po_skipped: 0,
         unknown_customers_skipped: 0,
+        store_not_allowed_skipped: 0,
+        missing_tracking_skipped: 0,
+        invalid_tracking_skipped: 0,
+        carrier_mismatch_skipped: 0,
+        tracking_warnings: 0,
         row_errors: 0,
         unknown_customers: [],
         diagnostics_reported: 0,
         diagnostics_omitted: 0,
     };
 
-    const addDiagnostic = (rowNumber, code, message, details = {}) => {
+    // Diagnostics are capped for logs and responses; rowResults keeps every
+    // row's outcome for the annotated workbook.
+    const reportDiagnostic = (diagnostic) => {
         totalDiagnostics += 1;
-        if (diagnostics.length < MAX_ROW_DIAGNOSTICS) {
-            diagnostics.push({
-                row_number: rowNumber || null,
+        if (diagnostics.length < diagnosticLimit) {
+            diagnostics.push(diagnostic);
+        }
+    };
+
+    // An accepted row keeps the code and message of its warning, if any.
+    const acceptRow = (location, sourceId, warning = null) => {
+        rowsAccepted += 1;
+        if (warning) {
+            const { code, message, ...details } = warning;
+            summary.tracking_warnings += 1;
+            reportDiagnostic({
+                ...location,
+                severity: "warning",
                 code,
                 message,
+                source_id: sourceId,
                 ...details,
             });
+            rowResults.push({
+                ...location,
+                status: "accepted",
+                source_id: sourceId,
+                code,
+                message,
+            });
+            return;
         }
+        rowResults.push({ ...location, status: "accepted", source_id: sourceId });
+    };
+
+    const addDiagnostic = (location, code, message, details = {}) => {
+        rowResults.push({ ...location, status: "rejected", code, message });
+        reportDiagnostic({
+            ...location,
+            code,
+            message,
+            ...details,
+        });
     };
 
+    // Rows merged from several attachments carry the file they came from.
     (Array.isArray(results) ? results : []).forEach((item, index) => {
-        const rowNumber = item?.__source_row_number || index + 1;
+        const location = {
+            row_number: item?.__source_row_number || index + 1,
+            ...(item?.__source_file ? { file: item.__source_file } : {}),
+        };
 
         try {
-            if (!item?.Cust_PO_Number) {
+            if (!item?.po_number) {
                 summary.missing_po_skipped += 1;
                 addDiagnostic(
-                    rowNumber,
+                    location,
                     "MISSING_PO",
                     "Customer PO number is missing"
                 );
                 return;
             }
 
-            const orderId = item.Cust_PO_Number
-                .split(/[\/\s-]+/)
-                .find((part) => /^\d+$/.test(part))
-                ?.trim();
+            const orderId = item.order_number;
 
             if (!orderId) {
                 summary.invalid_po_skipped += 1;
                 addDiagnostic(
-                    rowNumber,
+                    location,
                     "INVALID_PO",
                     "Customer PO does not contain a numeric order number"
                 );
                 return;
             }
 
-            if (uniqueOrderIds.has(orderId)) {
-                summary.duplicate_orders_skipped += 1;
+            const mappedStoreId = Object.hasOwn(storeIdMap, item.customer_number)
+                ? storeIdMap[item.customer_number]
+                : null;
+            if (!mappedStoreId) {
+                summary.unknown_customers_skipped += 1;
+                unknownCustomers.add(item.customer_number || "missing");
                 addDiagnostic(
-                    rowNumber,
-                    "DUPLICATE_ORDER",
-                    "Order number was already accepted from an earlier row"
+                    location,
+                    "UNKNOWN_CUSTOMER",
+                    "Customer number is not mapped to an OrderDesk store",
+                    { customer_number: item.customer_number || "missing" }
                 );
                 return;
             }
 
-            const mappedStoreId = STORE_ID_MAP[item.Customer_Number];
-            if (!mappedStoreId) {
-                summary.unknown_customers_skipped += 1;
-                unknownCustomers.add(item.Customer_Number || "missing");
+            if (allowedStoreIds && !allowedStoreIds.includes(mappedStoreId)) {
+                summary.store_not_allowed_skipped += 1;
                 addDiagnostic(
-                    rowNumber,
-                    "UNKNOWN_CUSTOMER",
-                    "Customer number is not mapped to an OrderDesk store",
-                    { customer_number: item.Customer_Number || "missing" }
+                    location,
+                    "STORE_NOT_ALLOWED",
+                    "Caller is not allowed to submit shipments for this store",
+                    { store_id: mappedStoreId }
                 );
                 return;
             }
 
-            let [carrierCode = "", shipmentMethod = ""] =
-                (item.Shipped_VIA || "")
-                    .split('-')
-                    .map((part) => part.trim());
-            shipmentMethod = SHIPMENT_METHOD_MAP[shipmentMethod] || shipmentMethod;
-
-            shipments.push({
-                source_id: `${mappedStoreId}-${orderId}`,
-                tracking_number: item.Tracking_Number,
-                carrier_code: carrierCode,
-                shipment_method: shipmentMethod || "Residential",
+            const sourceId = `${mappedStoreId}-${orderId}`;
+            const trackingNumber = String(item.tracking_number || "").trim();
+            const trackingIssue = checkTrackingNumber(trackingNumber, item.carrier_code);
+            const trackingWarning =
+                trackingIssue && trackingCheckActions[trackingIssue.code] === "warn"
+                    ? trackingIssue
+                    : null;
+            if (trackingIssue && !trackingWarning) {
+                const { code, message, ...details } = trackingIssue;
+                summary[`${code.toLowerCase()}_skipped`] += 1;
+                addDiagnostic(location, code, message, {
+                    carrier_code: item.carrier_code || "",
+                    ...details,
+                });
+                return;
+            }
+            const cartonKey =
+                String(item.carton_number || "").trim() || trackingNumber;
+            const existingShipment = shipmentsBySourceId.get(sourceId);
+
+            if (existingShipment) {
+                if (existingShipment.trackingNumbers.has(trackingNumber)) {
+                    summary.duplicate_orders_skipped += 1;
+                    addDiagnostic(
+                        location,
+                        "DUPLICATE_ORDER",
+                        "Order and tracking number were already accepted from an earlier row"
+                    );
+                    return;
+                }
+
+                existingShipment.trackingNumbers.add(trackingNumber);
+                existingShipment.cartons.add(cartonKey);
+                existingShipment.shipment.tracking_numbers.push(trackingNumber);
+                existingShipment.shipment.source_rows.push(location);
+                existingShipment.shipment.carton_count =
+                    existingShipment.cartons.size;
+                summary.carton_rows_merged += 1;
+                acceptRow(location, sourceId, trackingWarning);
+                return;
+            }
+
+            const shipment = {
+                source_id: sourceId,
+                tracking_number: trackingNumber,
+                tracking_numbers: [trackingNumber],
+                carton_count: 1,
+                carrier_code: item.carrier_code || "",
+                shipment_method: item.shipment_method || "Residential",
+                source_rows: [location],
+            };
+            shipments.push(shipment);
+            shipmentsBySourceId.set(sourceId, {
+                shipment,
+                trackingNumbers: new Set([trackingNumber]),
+                cartons: new Set([cartonKey]),
             });
-            uniqueOrderIds.add(orderId);
+            acceptRow(location, sourceId, trackingWarning);
         } catch (error) {
             summary.row_errors += 1;
             addDiagnostic(
-                rowNumber,
+                location,
                 "ROW_PROCESSING_ERROR",
                 "An unexpected error occurred while processing this row"
             );
@@ -218,7 +466,7 @@ export const formatCannonHillData = (results) => {
     });
 
     summary.shipments_accepted = shipments.length;
-    summary.rows_skipped = summary.spreadsheet_rows - shipments.length;
+    summary.rows_rejected = summary.spreadsheet_rows - rowsAccepted;
     summary.unknown_customers = Array.from(unknownCustomers).sort();
     summary.diagnostics_reported = diagnostics.length;
     summary.diagnostics_omitted = Math.max(
@@ -226,5 +474,5 @@ export const formatCannonHillData = (results) => {
         totalDiagnostics - diagnostics.length
     );
 
-    return { shipments, summary, diagnostics };
+    return { shipments, summary, diagnostics, rowResults };
 };
@@ -0,0 +1,184 @@
+import { STORE_MAP_CHANGE_LIMIT, STORE_MAP_FILE } from './config.js';
+import { createJsonFileStore } from './json-store.js';
+import { log } from './logger.js';
+
+// Seed used until the first change is saved to STORE_MAP_FILE.
+const DEFAULT_STORE_ID_MAP = {
+    RTSCS: "68125",
+    RTFMS: "118741",
+    HERO: "14077",
+};
+
+const storeMapFile = createJsonFileStore(STORE_MAP_FILE, () => ({
+    stores: Object.fromEntries(
+        Object.entries(DEFAULT_STORE_ID_MAP).map(([customerNumber, storeId]) => [
+            customerNumber,
+            { store_id: storeId, updated_at: null, updated_by_request_id: null },
+        ])
+    ),
+    changes: [],
+}));
+
+const validationError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const normalizeCustomerNumber = (customerNumber) => {
+    const normalized = String(customerNumber ?? "").trim();
+    if (!normalized) {
+        throw validationError("customer_number is required");
+    }
+    return normalized;
+};
+
+const normalizeStoreId = (storeId) => {
+    const normalized = String(storeId ?? "").trim();
+    if (!/^\d+$/.test(normalized)) {
+        throw validationError("store_id must be a numeric OrderDesk store ID");
+    }
+    return normalized;
+};
+
+const toMapping = (customerNumber, entry = {}) => ({
+    customer_number: customerNumber,
+    store_id: entry.store_id,
+    updated_at: entry.updated_at || null,
+    updated_by_request_id: entry.updated_by_request_id || null,
+});
+
+const recordChange = (storeMap, change, requestId) => {
+    const entry = {
+        ...change,
+        request_id: requestId || null,
+        changed_at: new Date().toISOString(),
+    };
+
+    storeMap.changes = [...(storeMap.changes || []), entry].slice(
+        -STORE_MAP_CHANGE_LIMIT
+    );
+
+    log("Store mapping changed", {
+        event: "store_map_changed",
+        ...entry,
+    });
+    return entry;
+};
+
+// Customer numbers are user input, so "__proto__" or "toString" must not
+// resolve to inherited properties.
+const findMapping = (stores, customerNumber) =>
+    stores && Object.hasOwn(stores, customerNumber) ? stores[customerNumber] : null;
+
+const setMapping = (stores, customerNumber, entry) => {
+    Object.defineProperty(stores, customerNumber, {
+        value: entry,
+        enumerable: true,
+        writable: true,
+        configurable: true,
+    });
+    return entry;
+};
+
+export const getStoreIdMap = async () => {
+    const { stores = {} } = await storeMapFile.read();
+    return Object.fromEntries(
+        Object.entries(stores).map(([customerNumber, entry]) => [
+            customerNumber,
+            entry.store_id,
+        ])
+    );
+};
+
+export const listStoreMappings = async () => {
+    const { stores = {} } = await storeMapFile.read();
+    return Object.keys(stores)
+        .sort()
+        .map((customerNumber) => toMapping(customerNumber, stores[customerNumber]));
+};
+
+export const listStoreMapChanges = async () => {
+    const { changes = [] } = await storeMapFile.read();
+    return changes.slice().reverse();
+};
+
+export const addStoreMapping = (customerNumber, storeId, requestId = null) => {
+    const normalizedCustomerNumber = normalizeCustomerNumber(customerNumber);
+    const normalizedStoreId = normalizeStoreId(storeId);
+
+    return storeMapFile.update((storeMap) => {
+        storeMap.stores = storeMap.stores || {};
+        if (findMapping(storeMap.stores, normalizedCustomerNumber)) {
+            const error = new Error(
+                `Customer ${normalizedCustomerNumber} is already mapped`
+            );
+            error.statusCode = 409;
+            throw error;
+        }
+
+        const change = recordChange(storeMap, {
+            action: "add",
+            customer_number: normalizedCustomerNumber,
+            store_id: normalizedStoreId,
+        }, requestId);
+        const entry = setMapping(storeMap.stores, normalizedCustomerNumber, {
+            store_id: normalizedStoreId,
+            updated_at: change.changed_at,
+            updated_by_request_id: change.request_id,
+        });
+        return toMapping(normalizedCustomerNumber, entry);
+    });
+};
+
+export const updateStoreMapping = (customerNumber, storeId, requestId = null) => {
+    const normalizedCustomerNumber = normalizeCustomerNumber(customerNumber);
+    const normalizedStoreId = normalizeStoreId(storeId);
+
+    return storeMapFile.update((storeMap) => {
+        const existing = findMapping(storeMap.stores, normalizedCustomerNumber);
+        if (!existing) {
+            const error = new Error(
+                `Customer ${normalizedCustomerNumber} is not mapped`
+            );
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const change = recordChange(storeMap, {
+            action: "update",
+            customer_number: normalizedCustomerNumber,
+            store_id: normalizedStoreId,
+            previous_store_id: existing.store_id,
+        }, requestId);
+        const entry = setMapping(storeMap.stores, normalizedCustomerNumber, {
+            store_id: normalizedStoreId,
+            updated_at: change.changed_at,
+            updated_by_request_id: change.request_id,
+        });
+        return toMapping(normalizedCustomerNumber, entry);
+    });
+};
+
+export const removeStoreMapping = (customerNumber, requestId = null) => {
+    const normalizedCustomerNumber = normalizeCustomerNumber(customerNumber);
+
+    return storeMapFile.update((storeMap) => {
+        const existing = findMapping(storeMap.stores, normalizedCustomerNumber);
+        if (!existing) {
+            const error = new Error(
+                `Customer ${normalizedCustomerNumber} is not mapped`
+            );
+            error.statusCode = 404;
+            throw error;
+        }
+
+        recordChange(storeMap, {
+            action: "remove",
+            customer_number: normalizedCustomerNumber,
+            previous_store_id: existing.store_id,
+        }, requestId);
+        delete storeMap.stores[normalizedCustomerNumber];
+        return toMapping(normalizedCustomerNumber, existing);
+    });
+};
@@ -0,0 +1,160 @@
+import { randomUUID } from 'crypto';
+import {
+    SUBMISSION_LEDGER_FILE,
+    SUBMISSION_LEDGER_RETENTION_DAYS,
+} from './config.js';
+import { createJsonFileStore } from './json-store.js';
+import { log } from './logger.js';
+
+const ledgerFile = createJsonFileStore(SUBMISSION_LEDGER_FILE, { shipments: {} });
+
+const trackingNumbersOf = (shipment = {}) =>
+    Array.isArray(shipment.tracking_numbers)
+        ? shipment.tracking_numbers
+        : [shipment.tracking_number];
+
+// A run that crashed mid-submission never releases its reservation, so
+// reservations older than this stop blocking later uploads.
+const RESERVATION_TTL_MS = 30 * 60 * 1000;
+
+const isActiveReservation = (reservation) =>
+    Date.now() - Date.parse(reservation.reserved_at) < RESERVATION_TTL_MS;
+
+// Tracking numbers per source_id that were submitted, or are being submitted
+// by a concurrent run.
+const coveredTrackingNumbers = (ledger, sourceId) => {
+    const entry = ledger.shipments?.[sourceId];
+    return new Set([
+        ...(entry?.tracking_numbers || []),
+        ...Object.values(ledger.reservations || {})
+            .filter(isActiveReservation)
+            .flatMap((reservation) => reservation.shipments[sourceId] || []),
+    ]);
+};
+
+// Splits formatted shipments into those still to be submitted and those whose
+// source_id + tracking numbers were all submitted by an earlier upload.
+// Known orders arriving with new tracking numbers are flagged as updates.
+const partitionShipments = (ledger, shipments = []) => {
+    const pending = [];
+    const alreadySubmitted = [];
+
+    shipments.forEach((shipment) => {
+        const coveredNumbers = coveredTrackingNumbers(ledger, shipment.source_id);
+        if (
+            trackingNumbersOf(shipment).every((trackingNumber) =>
+                coveredNumbers.has(trackingNumber)
+            )
+        ) {
+            alreadySubmitted.push(shipment);
+            return;
+        }
+
+        const entry = ledger.shipments?.[shipment.source_id];
+        pending.push(
+            entry
+                ? {
+                    ...shipment,
+                    tracking_update: true,
+                    previous_tracking_numbers: entry.tracking_numbers || [],
+                }
+                : shipment
+        );
+    });
+
+    return { pending, alreadySubmitted };
+};
+
+// Read-only check for dry runs; nothing is reserved.
+export const partitionAgainstLedger = async (shipments = []) =>
+    partitionShipments(await ledgerFile.read(), shipments);
+
+// Partitions and reserves the pending shipments in one ledger update, so two
+// runs of the same report cannot both see an order as pending. The caller
+// must release the reservation once the submission has finished.
+export const reserveShipments = (shipments = [], requestId = null) =>
+    ledgerFile.update((ledger) => {
+        const partition = partitionShipments(ledger, shipments);
+        ledger.reservations = Object.fromEntries(
+            Object.entries(ledger.reservations || {}).filter(([, reservation]) =>
+                isActiveReservation(reservation)
+            )
+        );
+        if (partition.pending.length === 0) {
+            return { ...partition, reservationId: null };
+        }
+
+        const reservationId = randomUUID();
+        ledger.reservations[reservationId] = {
+            request_id: requestId,
+            reserved_at: new Date().toISOString(),
+            shipments: Object.fromEntries(
+                partition.pending.map((shipment) => [
+                    shipment.source_id,
+                    trackingNumbersOf(shipment),
+                ])
+            ),
+        };
+        return { ...partition, reservationId };
+    });
+
+export const releaseShipmentReservation = async (reservationId) => {
+    if (!reservationId) {
+        return;
+    }
+
+    try {
+        await ledgerFile.update((ledger) => {
+            delete ledger.reservations?.[reservationId];
+        });
+    } catch (error) {
+        log("Submission ledger reservation could not be released", {
+            event: "submission_ledger_release_failed",
+            reservation_id: reservationId,
+            error,
+        }, "error");
+    }
+};
+
+export const recordSubmittedShipments = (shipments = [], requestId = null) => {
+    if (shipments.length === 0) {
+        return Promise.resolve();
+    }
+
+    return ledgerFile.update((ledger) => {
+        const submittedAt = new Date().toISOString();
+        const retentionCutoff =
+            Date.now() - SUBMISSION_LEDGER_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        ledger.shipments = ledger.shipments || {};
+
+        shipments.forEach((shipment) => {
+            const previous = ledger.shipments[shipment.source_id];
+            ledger.shipments[shipment.source_id] = {
+                tracking_numbers: Array.from(
+                    new Set([
+                        ...(previous?.tracking_numbers || []),
+                        ...trackingNumbersOf(shipment),
+                    ])
+                ),
+                first_submitted_at: previous?.first_submitted_at || submittedAt,
+                last_submitted_at: submittedAt,
+                request_id: requestId,
+            };
+        });
+
+        let prunedCount = 0;
+        Object.entries(ledger.shipments).forEach(([sourceId, entry]) => {
+            if (Date.parse(entry.last_submitted_at) < retentionCutoff) {
+                delete ledger.shipments[sourceId];
+                prunedCount += 1;
+            }
+        });
+
+        log("Submission ledger updated", {
+            event: "submission_ledger_updated",
+            request_id: requestId,
+            recorded_count: shipments.length,
+            pruned_count: prunedCount,
+        });
+    });
+};
@@ -1,6 +1,16 @@
 import fetch from 'node-fetch';
-import { SUBMIT_ROUTE } from './config.js';
+import {
+    SUBMIT_BATCH_SIZE,
+    SUBMIT_CONCURRENCY,
+    SUBMIT_ROUTE,
+    SUBMITTER,
+} from './config.js';
 import { log } from './logger.js';
+import {
+    downstreamSubmitAttemptsTotal,
+    downstreamSubmitDurationSeconds,
+} from './metrics.js';
+import { submitToOrderDesk } from './orderdesk.js';
 
 const simplifyPostResponses = (postResponses) => {
     if (!Array.isArray(postResponses) || postResponses.length === 0) {
@@ -23,53 +33,142 @@ const simplifyPostResponses = (postResponses) => {
     });
 };
 
-export const postToSubmitRoute = async (
-    data,
-    retries = 3,
-    requestId = null
-) => {
-    if (!Array.isArray(data) || data.length === 0) {
-        const error = new Error("No valid data to send to submit route");
-        error.statusCode = 422;
+const FAILED_RESULT_STATUSES = new Set(["error", "failed", "failure"]);
+
+const echoedSourceId = (entry = {}) =>
+    entry?.source_id ||
+    entry?.postResponse?.source_id ||
+    entry?.postResponse?.order?.source_id ||
+    null;
+
+// Ties each downstream result to its shipment: by the source_id the relay
+// echoes back, or by position when it returned one result per shipment.
+const correlateResults = (shipments, postResponses) => {
+    const simplified = simplifyPostResponses(postResponses);
+    const sourceIds = new Set(shipments.map((shipment) => shipment.source_id));
+    const matchesByPosition = simplified.length === shipments.length;
+
+    return simplified.map((result, index) => {
+        const echoed = String(echoedSourceId(postResponses[index]) || "");
+        const sourceId = sourceIds.has(echoed)
+            ? echoed
+            : (matchesByPosition ? shipments[index].source_id : null);
+        return sourceId ? { source_id: sourceId, ...result } : result;
+    });
+};
+
+// The relay reads one tracking_number per entry, so a multi-carton shipment
+// goes out as one entry per carton under the same source_id. Only the fields
+// of the relay contract are sent; source_rows and the other internal fields
+// (file names, row numbers) stay here.
+const relayEntriesFor = (shipment) =>
+    (shipment.tracking_numbers || [shipment.tracking_number]).map((trackingNumber) => ({
+        source_id: shipment.source_id,
+        tracking_number: trackingNumber,
+        carrier_code: shipment.carrier_code,
+        shipment_method: shipment.shipment_method,
+    }));
+
+// Folds per-carton results back to one per shipment; a failed carton fails
+// its shipment.
+const foldCartonResults = (results) => {
+    const resultsBySourceId = new Map();
+    const unmatched = [];
+    results.forEach((result) => {
+        if (!result.source_id) {
+            unmatched.push(result);
+            return;
+        }
+        const previous = resultsBySourceId.get(result.source_id);
+        if (
+            !previous ||
+            (!FAILED_RESULT_STATUSES.has(String(previous.status).toLowerCase()) &&
+                FAILED_RESULT_STATUSES.has(String(result.status).toLowerCase()))
+        ) {
+            resultsBySourceId.set(result.source_id, result);
+        }
+    });
+    return [...resultsBySourceId.values(), ...unmatched];
+};
+
+const recordSubmitAttempt = (outcome, startedAt) => {
+    downstreamSubmitAttemptsTotal.inc({ outcome });
+    downstreamSubmitDurationSeconds.observe(
+        { outcome },
+        (Date.now() - startedAt) / 1000
+    );
+};
+
+const sendToRelay = async (data, submitRoute) => {
+    const entries = data.flatMap(relayEntriesFor);
+    const response = await fetch(submitRoute, {
+        method: 'POST',
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(entries),
+    });
+    const rawResponse = await response.text();
+
+    if (!response.ok) {
+        const error = new Error(
+            `Downstream submission failed with status ${response.status}`
+        );
+        error.statusCode = 502;
+        error.downstreamStatus = response.status;
         throw error;
     }
 
+    const jsonResponse = JSON.parse(rawResponse);
+    const responseMessage =
+        jsonResponse.message || "Shipment batch accepted";
+    const isQueued =
+        response.status === 202 ||
+        String(jsonResponse.status || "").toLowerCase() === "queued" ||
+        /\bqueued\b/i.test(responseMessage);
+
+    const results = Array.isArray(jsonResponse.results)
+        ? foldCartonResults(correlateResults(entries, jsonResponse.results))
+        : [];
+    return {
+        status: isQueued
+            ? "queued"
+            : (jsonResponse.status || "success"),
+        message: responseMessage,
+        execution_time: jsonResponse.execution_time || "N/A",
+        results,
+        failed_source_ids: results
+            .filter((result) =>
+                result.source_id &&
+                FAILED_RESULT_STATUSES.has(String(result.status).toLowerCase())
+            )
+            .map((result) => result.source_id),
+        downstream_status_code: response.status,
+    };
+};
+
+// SUBMITTER picks the downstream: the relay app at SUBMIT_ROUTE (or a
+// recipient route's submit_route), or the OrderDesk API itself.
+const chunkSender = ({ submitRoute, requestId }) =>
+    SUBMITTER === "orderdesk"
+        ? (data) => submitToOrderDesk(data, { requestId })
+        : (data) => sendToRelay(data, submitRoute || SUBMIT_ROUTE);
+
+const submitChunk = async (data, retries, requestId, chunkNumber, send) => {
     log("Submitting shipment batch", {
         event: "shipment_batch_submitting",
         request_id: requestId,
+        chunk: chunkNumber,
         shipment_count: data.length,
+        submitter: SUBMITTER,
     });
 
     for (let attempt = 1; attempt <= retries; attempt += 1) {
+        const attemptStartedAt = Date.now();
         try {
-            const attemptStartedAt = Date.now();
-            const response = await fetch(SUBMIT_ROUTE, {
-                method: 'POST',
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify(data),
-            });
-            const rawResponse = await response.text();
-
-            if (!response.ok) {
-                const error = new Error(
-                    `Downstream submission failed with status ${response.status}`
-                );
-                error.statusCode = 502;
-                error.downstreamStatus = response.status;
-                throw error;
-            }
-
-            const jsonResponse = JSON.parse(rawResponse);
-            const responseMessage =
-                jsonResponse.message || "Shipment batch accepted";
-            const isQueued =
-                response.status === 202 ||
-                String(jsonResponse.status || "").toLowerCase() === "queued" ||
-                /\bqueued\b/i.test(responseMessage);
-            const simplifiedResults = Array.isArray(jsonResponse.results)
-                ? simplifyPostResponses(jsonResponse.results)
-                : [];
+            const { downstream_status_code: downstreamStatusCode, ...response } =
+                await send(data);
+            const isQueued = response.status === "queued";
 
+            recordSubmitAttempt(isQueued ? "queued" : "success", attemptStartedAt);
             log(
                 isQueued
                     ? "Shipment batch queued successfully"
@@ -79,22 +178,17 @@ export const postToSubmitRoute = async (
                         ? "shipment_batch_queued"
                         : "shipment_batch_submitted",
                     request_id: requestId,
+                    chunk: chunkNumber,
                     shipment_count: data.length,
-                    downstream_status_code: response.status,
-                    downstream_result_count: simplifiedResults.length,
+                    downstream_status_code: downstreamStatusCode,
+                    downstream_result_count: response.results.length,
                     duration_ms: Date.now() - attemptStartedAt,
                 }
             );
 
-            return {
-                status: isQueued
-                    ? "queued"
-                    : (jsonResponse.status || "success"),
-                message: responseMessage,
-                execution_time: jsonResponse.execution_time || "N/A",
-                results: simplifiedResults,
-            };
+            return { ...response, attempts: attempt };
         } catch (error) {
+            recordSubmitAttempt("error", attemptStartedAt);
             const isFinalAttempt = attempt === retries;
             log(
                 isFinalAttempt
@@ -105,6 +199,7 @@ export const postToSubmitRoute = async (
                         ? "shipment_batch_failed"
                         : "shipment_batch_retry",
                     request_id: requestId,
+                    chunk: chunkNumber,
                     attempt,
                     max_attempts: retries,
                     error,
@@ -113,9 +208,198 @@ export const postToSubmitRoute = async (
             );
 
             if (isFinalAttempt) {
+                error.attempts = attempt;
                 throw error;
             }
             await new Promise((resolve) => setTimeout(resolve, attempt * 1000));
         }
     }
 };
+
+const chunkShipments = (data, size) => {
+    const chunks = [];
+    for (let index = 0; index < data.length; index += size) {
+        chunks.push(data.slice(index, index + size));
+    }
+    return chunks;
+};
+
+const mapWithConcurrency = async (items, limit, mapper) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex;
+            nextIndex += 1;
+            results[index] = await mapper(items[index], index);
+        }
+    };
+
+    await Promise.all(
+        Array.from({ length: Math.min(limit, items.length) }, worker)
+    );
+    return results;
+};
+
+const overallStatus = (chunks) => {
+    const failedCount = chunks.filter((chunk) => chunk.status === "failed").length;
+    if (failedCount > 0) {
+        return "partial_failure";
+    }
+    return chunks.every((chunk) => chunk.status === "queued") ? "queued" : "success";
+};
+
+// One entry per shipment, in submission order, with the outcome of its chunk
+// and the downstream result matched to it, so ops can find the report rows.
+const describeOrders = (data, chunks) => {
+    const chunksBySourceId = new Map(
+        chunks.flatMap((chunk) => chunk.source_ids.map((sourceId) => [sourceId, chunk]))
+    );
+    const resultsBySourceId = new Map(
+        chunks
+            .flatMap((chunk) => chunk.results)
+            .filter((result) => result.source_id)
+            .map(({ source_id: sourceId, ...result }) => [sourceId, result])
+    );
+
+    return data.map((shipment) => {
+        const chunk = chunksBySourceId.get(shipment.source_id);
+        const result = resultsBySourceId.get(shipment.source_id);
+        return {
+            source_id: shipment.source_id,
+            status: chunk.status,
+            message: result?.message || chunk.message,
+            chunk: chunk.chunk,
+            tracking_numbers: shipment.tracking_numbers || [shipment.tracking_number],
+            source_rows: shipment.source_rows || [],
+            ...(result ? { downstream_result: result } : {}),
+        };
+    });
+};
+
+// Splits the shipments into SUBMIT_BATCH_SIZE chunks, submits up to
+// SUBMIT_CONCURRENCY at a time and retries each chunk on its own, so one bad
+// chunk no longer costs the whole report. Throws only when every chunk fails.
+export const postToSubmitRoute = async (
+    data,
+    retries = 3,
+    requestId = null,
+    {
+        batchSize = SUBMIT_BATCH_SIZE,
+        concurrency = SUBMIT_CONCURRENCY,
+        submitRoute = SUBMIT_ROUTE,
+    } = {}
+) => {
+    if (!Array.isArray(data) || data.length === 0) {
+        const error = new Error("No valid data to send to submit route");
+        error.statusCode = 422;
+        throw error;
+    }
+
+    const startedAt = Date.now();
+    const send = chunkSender({ submitRoute, requestId });
+    // A chunk whose submitter rejected single orders is reported as two
+    // entries with the same chunk number: the accepted and the failed orders.
+    const chunks = (await mapWithConcurrency(
+        chunkShipments(data, batchSize),
+        concurrency,
+        async (shipments, index) => {
+            const chunkNumber = index + 1;
+            const sourceIds = shipments.map((shipment) => shipment.source_id);
+            try {
+                const { attempts, ...response } = await submitChunk(
+                    shipments,
+                    retries,
+                    requestId,
+                    chunkNumber,
+                    send
+                );
+                const failedSourceIds = new Set(response.failed_source_ids || []);
+                const acceptedChunk = {
+                    chunk: chunkNumber,
+                    status: response.status === "queued" ? "queued" : "success",
+                    downstream_status: response.status,
+                    message: response.message,
+                    execution_time: response.execution_time,
+                    attempts,
+                    source_ids: sourceIds.filter((sourceId) => !failedSourceIds.has(sourceId)),
+                    results: response.results,
+                };
+                if (failedSourceIds.size === 0) {
+                    return [acceptedChunk];
+                }
+
+                const firstFailure = response.results.find((result) =>
+                    failedSourceIds.has(result.source_id)
+                );
+                const failedChunk = {
+                    chunk: chunkNumber,
+                    status: "failed",
+                    message: `${failedSourceIds.size} order(s) rejected downstream: ${firstFailure?.message || "unknown error"}`,
+                    attempts,
+                    source_ids: sourceIds.filter((sourceId) => failedSourceIds.has(sourceId)),
+                    results: [],
+                };
+                return acceptedChunk.source_ids.length > 0
+                    ? [acceptedChunk, failedChunk]
+                    : [{ ...failedChunk, results: response.results }];
+            } catch (error) {
+                return [{
+                    chunk: chunkNumber,
+                    status: "failed",
+                    message:
+                        error.message || "Downstream shipment processing failed",
+                    attempts: error.attempts || retries,
+                    source_ids: sourceIds,
+                    results: [],
+                }];
+            }
+        }
+    )).flat();
+
+    const chunkCount = Math.ceil(data.length / batchSize);
+    const sourceIdsByStatus = { succeeded: [], queued: [], failed: [] };
+    chunks.forEach((chunk) => {
+        const bucket =
+            chunk.status === "success"
+                ? "succeeded"
+                : (chunk.status === "queued" ? "queued" : "failed");
+        sourceIdsByStatus[bucket].push(...chunk.source_ids);
+    });
+
+    const chunkSummaries = chunks.map(({ results, ...chunk }) => chunk);
+    log("Shipment submission finished", {
+        event: "shipment_submission_finished",
+        request_id: requestId,
+        chunk_count: chunkCount,
+        succeeded_count: sourceIdsByStatus.succeeded.length,
+        queued_count: sourceIdsByStatus.queued.length,
+        failed_count: sourceIdsByStatus.failed.length,
+        duration_ms: Date.now() - startedAt,
+    }, sourceIdsByStatus.failed.length > 0 ? "warn" : "info");
+
+    if (sourceIdsByStatus.failed.length === data.length) {
+        const error = new Error(
+            `Downstream submission failed for all ${chunkCount} chunk(s)`
+        );
+        error.statusCode = 502;
+        error.chunks = chunkSummaries;
+        error.orders = describeOrders(data, chunks);
+        throw error;
+    }
+
+    const status = overallStatus(chunks);
+    return {
+        status,
+        message:
+            status === "partial_failure"
+                ? `${sourceIdsByStatus.failed.length} of ${data.length} shipments failed to submit`
+                : (chunks.length === 1 ? chunks[0].message : "Shipment batches accepted"),
+        execution_time: chunks.length === 1 ? chunks[0].execution_time : "N/A",
+        results: chunks.flatMap((chunk) => chunk.results),
+        chunks: chunkSummaries,
+        source_ids: sourceIdsByStatus,
+        orders: describeOrders(data, chunks),
+    };
+};
@@ -0,0 +1,119 @@
+// Tracking number formats and check digits per carrier. Each rule returns
+// true when the (upper-cased, space-free) number is valid for that carrier.
+
+const digitsOf = (value) => Array.from(value, Number);
+
+// UPS: "1Z" + 15 characters + check digit. Letters count as
+// (char code - 63) mod 10, odd positions once and even positions twice.
+const isUpsTrackingNumber = (value) => {
+    if (!/^1Z[0-9A-Z]{16}$/.test(value)) {
+        return false;
+    }
+    const characters = value.slice(2, 17);
+    const sum = Array.from(characters).reduce((total, character, index) => {
+        const number = /\d/.test(character)
+            ? Number(character)
+            : (character.charCodeAt(0) - 63) % 10;
+        return total + (index % 2 === 1 ? number * 2 : number);
+    }, 0);
+    return (10 - (sum % 10)) % 10 === Number(value[17]);
+};
+
+// Weights 3 and 1 alternating from the digit next to the check digit, as
+// used by GS1 barcodes (USPS IMpb, FedEx Ground and SmartPost).
+const hasMod10CheckDigit = (value) => {
+    const digits = digitsOf(value);
+    const checkDigit = digits.pop();
+    const sum = digits
+        .reverse()
+        .reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === checkDigit;
+};
+
+// FedEx Express: 12 digits, weights 1, 3, 7 from the right, mod 11.
+const hasFedExExpressCheckDigit = (value) => {
+    const digits = digitsOf(value);
+    const checkDigit = digits.pop();
+    const weights = [1, 3, 7];
+    const sum = digits
+        .reverse()
+        .reduce((total, digit, index) => total + digit * weights[index % 3], 0);
+    return (sum % 11) % 10 === checkDigit;
+};
+
+const isFedExTrackingNumber = (value) =>
+    (/^\d{12}$/.test(value) && hasFedExExpressCheckDigit(value)) ||
+    (/^\d{15}$/.test(value) && hasMod10CheckDigit(value)) ||
+    (/^\d{20}$/.test(value) && hasMod10CheckDigit(value)) ||
+    (/^96\d{20}$/.test(value) && hasMod10CheckDigit(value.slice(7)));
+
+// UPU S10 international items, e.g. "EC123456785US".
+const hasS10CheckDigit = (value) => {
+    const weights = [8, 6, 4, 2, 3, 5, 9, 7];
+    const digits = digitsOf(value.slice(2, 10));
+    const sum = digits.reduce((total, digit, index) => total + digit * weights[index], 0);
+    const remainder = 11 - (sum % 11);
+    const checkDigit = remainder === 10 ? 0 : remainder === 11 ? 5 : remainder;
+    return checkDigit === Number(value[10]);
+};
+
+const isUspsTrackingNumber = (value) =>
+    (/^9[2-5]\d{20}$/.test(value) && hasMod10CheckDigit(value)) ||
+    (/^9[2-5]\d{18}$/.test(value) && hasMod10CheckDigit(value)) ||
+    (/^420\d{5}(9[2-5]\d{20})$/.test(value) && hasMod10CheckDigit(value.slice(8))) ||
+    (/^[A-Z]{2}\d{9}US$/.test(value) && hasS10CheckDigit(value));
+
+// DHL Express waybills are 10 digits whose last digit is the rest mod 7;
+// DHL eCommerce numbers carry no check digit, so only their shape is checked.
+const isDhlTrackingNumber = (value) =>
+    (/^\d{10}$/.test(value) && Number(value.slice(0, 9)) % 7 === Number(value[9])) ||
+    /^JJD\d{18,20}$/.test(value) ||
+    /^GM\d{16,22}$/.test(value);
+
+const CARRIERS = [
+    { id: "ups", name: "UPS", codes: ["UPS"], isValid: isUpsTrackingNumber },
+    { id: "fedex", name: "FedEx", codes: ["FEDEX", "FDX", "FDXE", "FDXG", "FDE", "FEX"], isValid: isFedExTrackingNumber },
+    { id: "usps", name: "USPS", codes: ["USPS", "USP", "USMAIL", "POSTAL", "PRIORITY", "FIRSTCLASS"], isValid: isUspsTrackingNumber },
+    { id: "dhl", name: "DHL", codes: ["DHL", "DHLE", "DHLGM"], isValid: isDhlTrackingNumber },
+];
+
+const normalizeTrackingNumber = (value) =>
+    String(value || "").replace(/[\s-]+/g, "").toUpperCase();
+
+// Carrier codes come from the report's "Shipped VIA" column, e.g. "UPS" from
+// "UPS-G". Unknown carriers (freight, will call) are not format-checked.
+export const carrierForCode = (carrierCode) => {
+    const normalized = String(carrierCode || "").toUpperCase().replace(/[^A-Z]+/g, "");
+    return CARRIERS.find((carrier) => carrier.codes.includes(normalized)) || null;
+};
+
+// Returns null for a usable tracking number, otherwise the diagnostic code
+// and message describing the problem.
+export const checkTrackingNumber = (trackingNumber, carrierCode) => {
+    const normalized = normalizeTrackingNumber(trackingNumber);
+    if (!normalized) {
+        return { code: "MISSING_TRACKING", message: "Tracking number is missing" };
+    }
+
+    const carrier = carrierForCode(carrierCode);
+    if (!carrier || carrier.isValid(normalized)) {
+        return null;
+    }
+
+    const matchingCarrier = CARRIERS.find(
+        (candidate) => candidate !== carrier && candidate.isValid(normalized)
+    );
+    if (matchingCarrier) {
+        return {
+            code: "CARRIER_MISMATCH",
+            message: `Tracking number looks like ${matchingCarrier.name}, but the row ships via ${carrier.name}`,
+            carrier: carrier.id,
+            detected_carrier: matchingCarrier.id,
+        };
+    }
+    return {
+        code: "INVALID_TRACKING",
+        message: `Tracking number is not a valid ${carrier.name} tracking number`,
+        carrier: carrier.id,
+    };
+};
@@ -0,0 +1,145 @@
+import { inflateRawSync } from 'zlib';
+import { ZIP_MIME_TYPES } from './config.js';
+
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const ZIP64_MARKER = 0xffffffff;
+
+const zipError = (message, statusCode = 422) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+export const isZipArchiveFile = ({ filename = "", mimetype = "" } = {}) =>
+    /\.zip$/i.test(String(filename).trim()) ||
+    ZIP_MIME_TYPES.has(String(mimetype).split(";")[0].trim().toLowerCase());
+
+const findEndOfCentralDirectory = (buffer) => {
+    // The record is 22 bytes plus a comment of at most 64KB.
+    const searchStart = Math.max(0, buffer.length - 22 - 0xffff);
+    for (let offset = buffer.length - 22; offset >= searchStart; offset -= 1) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+            return offset;
+        }
+    }
+    throw zipError("ZIP archive is corrupt: end of central directory not found");
+};
+
+const readCentralDirectory = (buffer, maxEntries) => {
+    const endOffset = findEndOfCentralDirectory(buffer);
+    const entryCount = buffer.readUInt16LE(endOffset + 10);
+    let offset = buffer.readUInt32LE(endOffset + 16);
+
+    if (entryCount > maxEntries) {
+        throw zipError(
+            `ZIP archive has ${entryCount} entries; at most ${maxEntries} are allowed`,
+            413
+        );
+    }
+
+    const entries = [];
+    for (let index = 0; index < entryCount; index += 1) {
+        if (
+            offset + 46 > buffer.length ||
+            buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_SIGNATURE
+        ) {
+            throw zipError("ZIP archive is corrupt: invalid central directory");
+        }
+
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        entries.push({
+            name: buffer.toString("utf8", offset + 46, offset + 46 + nameLength),
+            flags: buffer.readUInt16LE(offset + 8),
+            method: buffer.readUInt16LE(offset + 10),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            uncompressedSize: buffer.readUInt32LE(offset + 24),
+            localHeaderOffset: buffer.readUInt32LE(offset + 42),
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+};
+
+const readEntryData = (buffer, entry, maxOutputLength) => {
+    const headerOffset = entry.localHeaderOffset;
+    if (
+        headerOffset + 30 > buffer.length ||
+        buffer.readUInt32LE(headerOffset) !== LOCAL_FILE_HEADER_SIGNATURE
+    ) {
+        throw zipError(`ZIP archive is corrupt: invalid local header for ${entry.name}`);
+    }
+
+    const dataStart =
+        headerOffset +
+        30 +
+        buffer.readUInt16LE(headerOffset + 26) +
+        buffer.readUInt16LE(headerOffset + 28);
+    const compressed = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+    if (entry.method === 0) {
+        return compressed;
+    }
+    if (entry.method !== 8) {
+        throw zipError(`ZIP entry ${entry.name} uses an unsupported compression method`);
+    }
+
+    try {
+        // maxOutputLength stops inflation at the limit even when the sizes
+        // declared in the archive are forged.
+        return inflateRawSync(compressed, { maxOutputLength });
+    } catch (error) {
+        if (error.code === "ERR_BUFFER_TOO_LARGE") {
+            throw zipError(`ZIP entry ${entry.name} expands beyond the allowed size`, 413);
+        }
+        throw zipError(`ZIP entry ${entry.name} could not be decompressed`);
+    }
+};
+
+// Returns the contents of the entries accepted by `filter`, refusing archives
+// with too many entries or whose extracted data would exceed the size limits.
+export const readZipEntries = (
+    buffer,
+    { filter = () => true, maxEntries, maxEntryBytes, maxTotalBytes }
+) => {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 22) {
+        throw zipError("ZIP archive is empty or truncated");
+    }
+
+    const entries = readCentralDirectory(buffer, maxEntries).filter(
+        (entry) => !entry.name.endsWith("/") && filter(entry.name)
+    );
+    let totalBytes = 0;
+
+    return entries.map((entry) => {
+        if (entry.flags & 0x1) {
+            throw zipError(`ZIP entry ${entry.name} is encrypted`);
+        }
+        if (
+            entry.compressedSize === ZIP64_MARKER ||
+            entry.uncompressedSize === ZIP64_MARKER
+        ) {
+            throw zipError(`ZIP entry ${entry.name} uses ZIP64, which is not supported`);
+        }
+        if (
+            entry.uncompressedSize > maxEntryBytes ||
+            totalBytes + entry.uncompressedSize > maxTotalBytes
+        ) {
+            throw zipError(`ZIP entry ${entry.name} expands beyond the allowed size`, 413);
+        }
+
+        const data = readEntryData(
+            buffer,
+            entry,
+            Math.max(1, Math.min(maxEntryBytes, maxTotalBytes - totalBytes))
+        );
+        if (data.length > maxEntryBytes || totalBytes + data.length > maxTotalBytes) {
+            throw zipError(`ZIP entry ${entry.name} expands beyond the allowed size`, 413);
+        }
+        totalBytes += data.length;
+        return { name: entry.name, buffer: data };
+    });
+};